@@ -8,11 +8,31 @@
  */
 
 import { readFileSync, writeFileSync } from 'fs';
-import { resolve } from 'path';
-import { errorToMarkdown, createErrorFromObject } from './index.js';
+import { resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+import {
+  errorToMarkdown,
+  errorToSlack,
+  errorToDiscord,
+  errorToHtml,
+  errorToText,
+  buildErrorReport,
+  createErrorFromObject,
+  validateTheme,
+  reportToGitHubIssue
+} from './index.js';
 
 const VERSION = '1.0.0';
 
+const formats = {
+  md: errorToMarkdown,
+  html: errorToHtml,
+  text: errorToText,
+  json: (error, request, options) => JSON.stringify(buildErrorReport(error, request, options), null, 2),
+  slack: (error, request, options) => JSON.stringify(errorToSlack(error, request, options), null, 2),
+  discord: (error, request, options) => JSON.stringify(errorToDiscord(error, request, options), null, 2)
+};
+
 function showHelp() {
   console.log(`
 🐛 error-to-md CLI v${VERSION}
@@ -22,29 +42,60 @@ USAGE:
   error-to-md <input.json> [options]
   error-to-md --demo
   cat error.json | error-to-md
+  error-to-md github <input.json> --repo <owner/name> [options]
 
 OPTIONS:
   -o, --output <file>     Output file (default: stdout)
+  -f, --format <format>   Output format: md, html, text, json (report object),
+                         slack (Block Kit JSON), discord (webhook embed JSON)
+                         (default: md)
+  --no-color             Disable ANSI colors in text output
   -t, --theme <theme>     Theme: github, slack, discord (default: github)
+  --theme-file <file>    Load a custom theme from a .js/.mjs (default export)
+                         or .json file
   --no-env               Exclude environment info
   --no-timestamp         Exclude timestamp
   --severity <level>     Set severity: info, warning, error, critical
   --app-version <ver>    Set app version
+  --source-root <dir>    Show source code around the failing line, mapping
+                         stack paths (e.g. /app/src/...) onto a local checkout
+  --context-lines <n>    Lines of source context around the failing line (default: 3)
+  --source-maps          Resolve stack frames through .map files and inline
+                         sourceMappingURL data URIs
   --demo                 Generate a demo error report
   -h, --help             Show this help
   -v, --version          Show version
 
+GITHUB OPTIONS (error-to-md github):
+  Comments on the open issue carrying the error ID, or creates a new issue
+  labelled with the severity and error type.
+  --repo <owner/name>    Repository (default: $GITHUB_REPOSITORY)
+  --token <token>        API token (default: $GITHUB_TOKEN)
+  --api-url <url>        API base URL, e.g. for GitHub Enterprise
+                         (default: $GITHUB_API_URL or https://api.github.com)
+  --label <label>        Extra label, can be repeated
+  --fingerprint          Group by fingerprint instead of the raw error ID
+
 EXAMPLES:
   error-to-md error.json
   error-to-md error.json -o bug-report.md -t slack
+  error-to-md error.json --theme-file ./my-theme.json
+  error-to-md error.json -f html -o report.html
+  error-to-md error.json -f slack | curl -X POST -H 'Content-Type: application/json' --data @- $SLACK_WEBHOOK_URL
   error-to-md --demo --severity critical
+  error-to-md examples/sample-error.json --source-root ./my-service
+  GITHUB_TOKEN=ghp_... error-to-md github error.json --repo acme/api --label bug
   echo '{"message":"Test error","stack":"at test.js:1:1"}' | error-to-md
 
 GitHub: https://github.com/imankii01/error-to-md
   `);
 }
 
-function generateDemo(options = {}) {
+function render(error, request, options, format) {
+  return formats[format](error, request, options);
+}
+
+function createDemoInput() {
   const demoError = new Error('Database connection timeout');
   demoError.name = 'ConnectionTimeoutError';
   demoError.code = 'ETIMEDOUT';
@@ -70,15 +121,58 @@ function generateDemo(options = {}) {
     params: { userId: '12345' }
   };
   
-  return errorToMarkdown(demoError, demoRequest, {
-    appVersion: '2.1.3',
-    severity: 'error',
-    ...options
+  return { error: demoError, request: demoRequest };
+}
+
+function parseInput(json) {
+  const errorObj = JSON.parse(json);
+  return { error: createErrorFromObject(errorObj), request: errorObj.request || null };
+}
+
+function readStdin() {
+  return new Promise((resolvePromise, reject) => {
+    let stdinData = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => {
+      stdinData += chunk;
+    });
+    process.stdin.on('end', () => resolvePromise(stdinData.trim()));
+    process.stdin.on('error', reject);
   });
 }
 
+async function createGitHubIssue({ error, request }, options, github) {
+  if (!github.repo) {
+    throw new Error('Missing --repo <owner/name> (or GITHUB_REPOSITORY)');
+  }
+  if (!github.token) {
+    throw new Error('Missing --token (or GITHUB_TOKEN)');
+  }
+  
+  const report = buildErrorReport(error, request, options);
+  const result = await reportToGitHubIssue(report, { ...options, ...github });
+  
+  if (result.action === 'created') {
+    console.log(`✅ Created issue #${result.number}: ${result.url}`);
+  } else {
+    console.log(`💬 Commented on existing issue #${result.number}: ${result.url}`);
+  }
+}
+
+async function loadThemeFile(file) {
+  const filePath = resolve(file);
+  
+  if (extname(filePath).toLowerCase() === '.json') {
+    return validateTheme(JSON.parse(readFileSync(filePath, 'utf8')));
+  }
+  
+  const module = await import(pathToFileURL(filePath).href);
+  return validateTheme(module.default || module);
+}
+
 function parseArgs() {
   const args = process.argv.slice(2);
+  const command = args[0] === 'github' ? args.shift() : null;
   const options = {
     theme: 'github',
     includeEnvironment: true,
@@ -88,7 +182,15 @@ function parseArgs() {
   
   let inputFile = null;
   let outputFile = null;
+  let themeFile = null;
+  let format = 'md';
   let showDemo = false;
+  const github = {
+    repo: process.env.GITHUB_REPOSITORY || null,
+    token: process.env.GITHUB_TOKEN || null,
+    apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    labels: []
+  };
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -115,11 +217,20 @@ function parseArgs() {
         outputFile = args[++i];
         break;
         
+      case '-f':
+      case '--format':
+        format = args[++i];
+        break;
+        
       case '-t':
       case '--theme':
         options.theme = args[++i];
         break;
         
+      case '--theme-file':
+        themeFile = args[++i];
+        break;
+        
       case '--severity':
         options.severity = args[++i];
         break;
@@ -128,14 +239,52 @@ function parseArgs() {
         options.appVersion = args[++i];
         break;
         
+      case '--source-root':
+        options.includeSourceContext = true;
+        options.sourceRoot = resolve(args[++i]);
+        break;
+        
+      case '--context-lines':
+        options.includeSourceContext = true;
+        options.sourceContextLines = parseInt(args[++i], 10);
+        break;
+        
+      case '--source-maps':
+        options.sourceMaps = true;
+        break;
+        
       case '--no-env':
         options.includeEnvironment = false;
         break;
         
+      case '--no-color':
+        options.colors = false;
+        break;
+        
       case '--no-timestamp':
         options.includeTimestamp = false;
         break;
         
+      case '--repo':
+        github.repo = args[++i];
+        break;
+        
+      case '--token':
+        github.token = args[++i];
+        break;
+        
+      case '--api-url':
+        github.apiUrl = args[++i];
+        break;
+        
+      case '--label':
+        github.labels.push(args[++i]);
+        break;
+        
+      case '--fingerprint':
+        options.fingerprint = true;
+        break;
+        
       default:
         if (!arg.startsWith('-')) {
           inputFile = arg;
@@ -144,70 +293,64 @@ function parseArgs() {
     }
   }
   
-  return { inputFile, outputFile, options, showDemo };
+  return { command, inputFile, outputFile, themeFile, format, options, showDemo, github };
 }
 
-function main() {
-  const { inputFile, outputFile, options, showDemo } = parseArgs();
+async function main() {
+  const { command, inputFile, outputFile, themeFile, format, options, showDemo, github } = parseArgs();
   
-  let markdown = '';
+  // Never write ANSI colors into files
+  if (outputFile && options.colors === undefined) {
+    options.colors = false;
+  }
   
   try {
+    if (!formats[format]) {
+      throw new Error(`Unknown format "${format}". Available formats: ${Object.keys(formats).join(', ')}`);
+    }
+    
+    if (themeFile) {
+      options.theme = await loadThemeFile(themeFile);
+    } else {
+      validateTheme(options.theme);
+    }
+    
+    let input;
     if (showDemo) {
-      markdown = generateDemo(options);
+      input = createDemoInput();
+      options.appVersion = options.appVersion || '2.1.3';
     } else if (inputFile) {
       // Read from file
-      const filePath = resolve(inputFile);
-      const jsonData = readFileSync(filePath, 'utf8');
-      const errorObj = JSON.parse(jsonData);
-      
-      const error = createErrorFromObject(errorObj);
-      const request = errorObj.request || null;
-      
-      markdown = errorToMarkdown(error, request, options);
+      input = parseInput(readFileSync(resolve(inputFile), 'utf8'));
     } else {
       // Read from stdin
-      let stdinData = '';
-      process.stdin.setEncoding('utf8');
-      
       if (process.stdin.isTTY) {
         console.error('❌ Error: No input provided. Use --help for usage information.');
         process.exit(1);
       }
       
-      process.stdin.on('data', chunk => {
-        stdinData += chunk;
-      });
-      
-      process.stdin.on('end', () => {
-        try {
-          const errorObj = JSON.parse(stdinData.trim());
-          const error = createErrorFromObject(errorObj);
-          const request = errorObj.request || null;
-          
-          markdown = errorToMarkdown(error, request, options);
-          
-          if (outputFile) {
-            writeFileSync(outputFile, markdown);
-            console.error(`✅ Markdown report saved to: ${outputFile}`);
-          } else {
-            console.log(markdown);
-          }
-        } catch (err) {
-          console.error('❌ Error parsing JSON from stdin:', err.message);
-          process.exit(1);
-        }
-      });
-      
+      const stdinData = await readStdin();
+      try {
+        input = parseInput(stdinData);
+      } catch (err) {
+        console.error('❌ Error parsing JSON from stdin:', err.message);
+        process.exit(1);
+      }
+    }
+    
+    if (command === 'github') {
+      await createGitHubIssue(input, options, github);
       return;
     }
     
+    const output = render(input.error, input.request, options, format);
+    
     // Output result
     if (outputFile) {
-      writeFileSync(outputFile, markdown);
-      console.error(`✅ Markdown report saved to: ${outputFile}`);
+      writeFileSync(outputFile, output);
+      console.error(`✅ Report saved to: ${outputFile}`);
     } else {
-      console.log(markdown);
+      console.log(output);
     }
     
   } catch (err) {
@@ -223,4 +366,4 @@ function main() {
   }
 }
 
-main();
\ No newline at end of file
+main();
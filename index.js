@@ -7,24 +7,76 @@
  * @license MIT
  */
 
-import { performance } from 'perf_hooks';
+import { performance, monitorEventLoopDelay } from 'perf_hooks';
+import { AsyncLocalStorage } from 'async_hooks';
 import { createHash } from 'crypto';
+import { readFileSync, statSync, writeFileSync, mkdirSync } from 'fs';
+import { mkdir, writeFile, readdir, stat, unlink } from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import { join, resolve, dirname, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { format } from 'util';
+import { getHeapStatistics } from 'v8';
 
 /**
  * Default configuration options
  */
 const defaultOptions = {
-  redact: ['password', 'token', 'key', 'secret', 'auth', 'authorization', 'cookie'],
+  redact: [
+    // Substrings, so compound keys like newpassword, sessiontoken and privatekey are caught
+    { contains: 'password' }, { contains: 'passwd' }, { contains: 'token' }, { contains: 'secret' },
+    { contains: 'apikey' }, { contains: 'accesskey' }, { contains: 'privatekey' },
+    { contains: 'authorization' }, { contains: 'cookie' },
+    // Whole words only: a substring match would also hit monkey, keyboard or author
+    'key', 'auth'
+  ],
+  redactAllow: [],
+  redactMask: 'full', // full, last4, hash, or (value, path) => string
   includeEnvironment: true,
   includeTimestamp: true,
   includePerformance: true,
   theme: 'github', // github, slack, discord
   maxStackLines: 50,
   maxBodySize: 1000,
+  maxDataDepth: 8,
+  maxStringLength: 500,
   includeUserAgent: true,
   includeMemoryUsage: true,
   generateErrorId: true,
-  severity: 'error' // info, warning, error, critical
+  fingerprint: false, // true groups by normalized message, route and in-app frames; or (err, req, parts) => string
+  fingerprintFrames: 3,
+  dedupe: false, // true or { windowMs }: log each error ID once per window (middleware)
+  maxReportsPerMinute: 0, // 0 = unlimited (middleware)
+  store: null, // dedupe/rate-limit state, in memory by default
+  onSummary: null, // (summary) => void, called when a window with suppressed reports ends
+  transports: [], // file, webhook, stdout or custom sinks (middleware)
+  logToConsole: true, // middleware: print the Markdown report with console.error
+  onTransportError: null, // (error, transport) => void, defaults to a console warning
+  github: null, // { token, repo, apiUrl, labels }: create or update GitHub issues (middleware)
+  issueRepo: null, // 'owner/name': exposed error responses link to a prefilled new issue
+  maxLength: null, // Markdown character budget, e.g. 65536 for GitHub issue bodies
+  expose: null, // error details in responses; null = only when NODE_ENV is development
+  annotateOnly: false, // asyncErrorToMd: attach the report to the error without logging it
+  includeBreadcrumbs: true, // timeline of recent logs, HTTP calls and custom events
+  includeContext: true, // user, tags, extra data, custom sections and trace/request IDs
+  diagnostics: false, // true, or { eventLoop, handles, heap, os, host, git, package } set to false to skip
+  severity: 'error', // info, warning, error, critical
+  includeCauses: true,
+  maxCauseDepth: 5,
+  maxCauseStackLines: 10,
+  stackFormat: 'text', // text, table
+  collapseLibraryFrames: false,
+  highlightAppFrame: false,
+  includeSourceContext: false,
+  sourceContextLines: 3,
+  sourceRoot: null,
+  sourceMaps: false,
+  colors: 'auto', // auto, true, false (plain-text output only)
+  detectSecrets: true,
+  secretRules: [],
+  ignoreSecretRules: []
 };
 
 /**
@@ -37,6 +89,13 @@ const themes = {
     stackIcon: '📋',
     requestIcon: '🌐',
     envIcon: '💻',
+    causeIcon: '🔗',
+    sourceIcon: '📄',
+    contextIcon: '👤',
+    sectionIcon: '📌',
+    correlationIcon: '🧵',
+    breadcrumbIcon: '🍞',
+    diagnosticsIcon: '🩺',
     separator: '---'
   },
   slack: {
@@ -45,6 +104,13 @@ const themes = {
     stackIcon: ':clipboard:',
     requestIcon: ':globe_with_meridians:',
     envIcon: ':computer:',
+    causeIcon: ':link:',
+    sourceIcon: ':page_facing_up:',
+    contextIcon: ':bust_in_silhouette:',
+    sectionIcon: ':pushpin:',
+    correlationIcon: ':thread:',
+    breadcrumbIcon: ':bread:',
+    diagnosticsIcon: ':stethoscope:',
     separator: '```'
   },
   discord: {
@@ -53,281 +119,4218 @@ const themes = {
     stackIcon: '📋',
     requestIcon: '🌐',
     envIcon: '💻',
+    causeIcon: '🔗',
+    sourceIcon: '📄',
+    contextIcon: '👤',
+    sectionIcon: '📌',
+    correlationIcon: '🧵',
+    breadcrumbIcon: '🍞',
+    diagnosticsIcon: '🩺',
     separator: '```diff'
   }
 };
 
+/**
+ * Markdown report sections, in their default order
+ */
+const defaultSections = [
+  'header',
+  'severity',
+  'message',
+  'type',
+  'code',
+  'stack',
+  'source',
+  'causes',
+  'request',
+  'context',
+  'correlation',
+  'breadcrumbs',
+  'environment',
+  'diagnostics',
+  'performance',
+  'footer'
+];
+
+/**
+ * Default section labels (themes can rename them through `labels`)
+ */
+const defaultLabels = {
+  errorId: 'Error ID',
+  timestamp: 'Timestamp',
+  severity: 'Severity',
+  message: 'Error Message',
+  type: 'Error Type',
+  code: 'Error Code',
+  stack: 'Stack Trace',
+  source: 'Source Context',
+  causes: 'Nested Errors',
+  request: 'Request Details',
+  context: 'Context',
+  correlation: 'Correlation',
+  breadcrumbs: 'Breadcrumbs',
+  environment: 'Environment',
+  diagnostics: 'Runtime Diagnostics',
+  performance: 'Report Generation Time'
+};
+
+const warnedThemes = new Set();
+
+/**
+ * Validate a theme name or definition and return the resolved theme.
+ * Definitions inherit from `extends` (default: github); throws on unknown
+ * theme names, sections, labels or template slots.
+ */
+function validateTheme(theme) {
+  if (typeof theme === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(themes, theme)) {
+      throw new Error(`Unknown theme "${theme}". Available themes: ${Object.keys(themes).join(', ')}`);
+    }
+    return themes[theme];
+  }
+  
+  if (!theme || typeof theme !== 'object') {
+    throw new TypeError('Theme must be a theme name or a theme definition object');
+  }
+  
+  const { extends: baseName = 'github', ...definition } = theme;
+  const base = validateTheme(baseName);
+  const resolved = {
+    ...base,
+    ...definition,
+    labels: { ...base.labels, ...definition.labels },
+    customSections: { ...base.customSections, ...definition.customSections }
+  };
+  
+  for (const [name, render] of Object.entries(resolved.customSections)) {
+    if (typeof render !== 'function') {
+      throw new TypeError(`Custom section "${name}" must be a function`);
+    }
+  }
+  
+  const knownSections = [...defaultSections, ...Object.keys(resolved.customSections)];
+  if (resolved.sections !== undefined) {
+    if (!Array.isArray(resolved.sections)) {
+      throw new TypeError('Theme "sections" must be an array of section names');
+    }
+    const unknown = resolved.sections.filter(name => !knownSections.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown theme section(s): ${unknown.join(', ')}. Available sections: ${knownSections.join(', ')}`);
+    }
+  }
+  
+  const unknownLabels = Object.keys(resolved.labels).filter(name => !(name in defaultLabels) && !knownSections.includes(name));
+  if (unknownLabels.length > 0) {
+    throw new Error(`Unknown theme label(s): ${unknownLabels.join(', ')}`);
+  }
+  
+  if (resolved.template !== undefined) {
+    if (typeof resolved.template !== 'string') {
+      throw new TypeError('Theme "template" must be a string');
+    }
+    const slots = [...resolved.template.matchAll(/\{\{\s*([^}\s]+)\s*\}\}/g)].map(match => match[1]);
+    const missing = slots.filter(slot => !knownSections.includes(slot));
+    if (missing.length > 0) {
+      throw new Error(`Template slot(s) without a matching section: ${missing.map(slot => `{{${slot}}}`).join(', ')}. Available sections: ${knownSections.join(', ')}`);
+    }
+  }
+  
+  return resolved;
+}
+
+/**
+ * Register a custom theme so it can be selected by name
+ */
+function registerTheme(name, definition) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('Theme name must be a non-empty string');
+  }
+  themes[name] = validateTheme(definition);
+  return themes[name];
+}
+
+/**
+ * Resolve the theme used for rendering. Unknown theme names fall back to
+ * github with a one-time warning so an error report is still produced.
+ */
+function resolveTheme(theme) {
+  try {
+    return validateTheme(theme);
+  } catch (err) {
+    const key = typeof theme === 'string' ? theme : err.message;
+    if (!warnedThemes.has(key)) {
+      warnedThemes.add(key);
+      console.warn(`[error-to-md] ${err.message}. Falling back to the github theme.`);
+    }
+    return themes.github;
+  }
+}
+
 /**
  * Generate a unique error ID based on error details
  */
-function generateErrorId(err, req = null) {
-  const errorData = {
-    message: err.message,
-    stack: err.stack?.split('\n')[0] || '',
-    url: req?.originalUrl || req?.url || '',
-    method: req?.method || ''
-  };
+function generateErrorId(err, req = null) {
+  const errorData = {
+    message: err.message,
+    stack: err.stack?.split('\n')[0] || '',
+    url: req?.originalUrl || req?.url || '',
+    method: req?.method || ''
+  };
+  
+  const hash = createHash('md5').update(JSON.stringify(errorData)).digest('hex');
+  return `ERR-${hash.substring(0, 8).toUpperCase()}`;
+}
+
+/**
+ * Replace the dynamic parts of a message (quoted values, UUIDs, hex IDs, numbers) with placeholders
+ */
+function normalizeMessage(message) {
+  return String(message)
+    .replace(/(^|[^\w])(["'`])(?:(?!\2)[^\n])*\2/g, '$1<str>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>')
+    .replace(/\d+(?:\.\d+)*/g, '<num>');
+}
+
+// Mount path of the router that matched each request's route. Express restores
+// `req.baseUrl` when an error leaves a mounted router, so error handlers see only `/:id`
+// for a route matched as `/api/users` + `/:id`.
+const routeMounts = new WeakMap();
+
+/**
+ * Record `req.baseUrl` each time Express assigns `req.route`, i.e. on route match
+ */
+function trackRouteMount(req) {
+  let route = req.route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+      if (value) routeMounts.set(req, req.baseUrl || '');
+    }
+  });
+}
+
+/**
+ * Matched route pattern, e.g. `/api/users/:id`: mount path + `route.path`, or null
+ */
+function matchedRoute(req) {
+  if (!req.route || req.route.path === undefined) return null;
+  const mount = routeMounts.has(req) ? routeMounts.get(req) : req.baseUrl || '';
+  return `${mount}${req.route.path}`;
+}
+
+/**
+ * Route pattern for a request: the matched Express route when known,
+ * otherwise the URL path with ID-like segments replaced by `:id`
+ */
+function routePattern(req) {
+  if (req.route && typeof req.route.path === 'string') {
+    return matchedRoute(req);
+  }
+  const path = String(req.originalUrl || req.url || '').split('?')[0];
+  return path.split('/').map(segment => (
+    /^(?:\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|(?=[0-9a-f]*\d)[0-9a-f]{8,})$/i.test(segment)
+      ? ':id'
+      : segment
+  )).join('/');
+}
+
+/**
+ * Fingerprint that groups occurrences of the same bug: `err.fingerprint` wins,
+ * then a custom `fingerprint` function, then the normalized default parts
+ */
+function getFingerprint(err, req = null, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const defaultParts = () => {
+    const stack = config.sourceMaps ? applySourceMaps(err.stack, config) : err.stack;
+    const frames = parseStackTrace(stack);
+    const appFrames = frames.filter(frame => frame.inApp);
+    const cwd = process.cwd();
+    
+    return [
+      err.name || 'Error',
+      normalizeMessage(err.message || ''),
+      req ? `${req.method || ''} ${routePattern(req)}`.trim() : '',
+      // Function and file only: line numbers shift with unrelated edits
+      ...(appFrames.length > 0 ? appFrames : frames).slice(0, config.fingerprintFrames).map(frame => {
+        const file = (frame.file || '').replace(/^file:\/\//, '');
+        return `${frame.functionName || '<anonymous>'} ${file.startsWith(cwd) ? file.slice(cwd.length) : file}`;
+      })
+    ];
+  };
+  
+  let parts = null;
+  if (err.fingerprint != null) {
+    parts = [].concat(err.fingerprint);
+  } else if (typeof config.fingerprint === 'function') {
+    const custom = config.fingerprint(err, req, defaultParts());
+    parts = custom == null ? null : [].concat(custom);
+  }
+  
+  return createHash('md5').update(JSON.stringify((parts || defaultParts()).map(String))).digest('hex');
+}
+
+/**
+ * Luhn checksum, used to tell card numbers from other long digit runs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in rules for secrets detected by value, wherever they appear.
+ * Each match is replaced with `[REDACTED:<name>]`; rules run in order.
+ */
+const secretRules = [
+  {
+    // Only the password part, so the host stays visible
+    name: 'connection-string-password',
+    pattern: /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]*:)[^\s@/]+(?=@)/gi
+  },
+  {
+    name: 'bearer-token',
+    pattern: /(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]+=*/gi
+  },
+  {
+    name: 'basic-auth',
+    pattern: /(?<=\bBasic\s+)[A-Za-z0-9+/]{8,}={0,2}/g
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+  },
+  {
+    name: 'aws-access-key',
+    pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g
+  },
+  {
+    name: 'aws-secret-key',
+    pattern: /(?<=aws_?secret_?access_?key["']?\s*[:=]\s*["']?)[A-Za-z0-9/+]{40}(?![A-Za-z0-9/+])/gi
+  },
+  {
+    name: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+  },
+  {
+    name: 'stripe-key',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{10,99}\b|\bwhsec_[A-Za-z0-9]{20,99}\b/g
+  },
+  {
+    name: 'credit-card',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 &&
+        /^(?:4|5[1-5]|2[2-7]|3[47]|3[068]|6(?:011|5))/.test(digits) &&
+        passesLuhn(digits);
+    }
+  },
+  {
+    name: 'email',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  }
+];
+
+/**
+ * Get the secret rules in effect for a configuration
+ */
+function getSecretRules(config) {
+  if (!config.detectSecrets) return [];
+  const ignored = config.ignoreSecretRules || [];
+  return [...secretRules, ...(config.secretRules || [])].filter(rule => !ignored.includes(rule.name));
+}
+
+/**
+ * Replace secrets found by value in a string with `[REDACTED:<rule name>]`
+ */
+function redactSecrets(text, rules) {
+  if (typeof text !== 'string' || rules.length === 0) return text;
+  
+  return rules.reduce((result, rule) => {
+    const pattern = rule.pattern.global ? rule.pattern : new RegExp(rule.pattern.source, rule.pattern.flags + 'g');
+    pattern.lastIndex = 0;
+    return result.replace(pattern, match => (
+      !rule.validate || rule.validate(match) ? `[REDACTED:${rule.name}]` : match
+    ));
+  }, text);
+}
+
+/**
+ * Split a key into lowercase words: `xApiKey`, `x-api-key` and `X_API_KEY` all give x, api, key
+ */
+function keyWords(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Normalize a `redact`/`redactAllow` entry into a matcher over key paths.
+ * Strings with a dot are paths (`body.user.ssn`, `*` matches one segment),
+ * other strings match whole words of a key, RegExps test the key and
+ * `{ contains }` matches any key with that substring.
+ */
+function compileRedactRule(entry) {
+  const rule = typeof entry === 'string' || entry instanceof RegExp ? { match: entry } : { ...entry };
+  const { match, key, path, pattern, contains } = rule;
+  
+  if (typeof contains === 'string' && contains) {
+    const needle = contains.toLowerCase();
+    rule.test = keyPath => String(keyPath[keyPath.length - 1]).toLowerCase().includes(needle);
+  } else if (path || (typeof match === 'string' && match.includes('.'))) {
+    const segments = (path || match).toLowerCase().split('.');
+    rule.test = keyPath => keyPath.length === segments.length &&
+      segments.every((segment, i) => segment === '*' || segment === String(keyPath[i]).toLowerCase());
+  } else if (key) {
+    rule.test = keyPath => String(keyPath[keyPath.length - 1]).toLowerCase() === key.toLowerCase();
+  } else if (pattern || match instanceof RegExp) {
+    const regex = pattern || match;
+    rule.test = keyPath => {
+      regex.lastIndex = 0;
+      return regex.test(String(keyPath[keyPath.length - 1]));
+    };
+  } else if (typeof match === 'string') {
+    const words = keyWords(match);
+    rule.test = keyPath => {
+      const candidate = keyWords(keyPath[keyPath.length - 1]);
+      return words.length > 0 && candidate.some((_, start) =>
+        words.every((word, i) => candidate[start + i] === word)
+      );
+    };
+  } else {
+    throw new TypeError(`Invalid redaction rule: ${JSON.stringify(entry)}`);
+  }
+  
+  return rule;
+}
+
+/**
+ * Replace a redacted value according to its mask
+ */
+function maskValue(value, mask, keyPath) {
+  if (typeof mask === 'function') return mask(value, keyPath.join('.'));
+  
+  const text = typeof value === 'string' ? value : JSON.stringify(toSerializable(value));
+  if (mask === 'last4' && typeof text === 'string' && text.length > 8 && (typeof value !== 'object' || value === null)) {
+    return `****${text.slice(-4)}`;
+  }
+  if (mask === 'hash') {
+    return `[REDACTED:hash:${createHash('sha256').update(String(text)).digest('hex').slice(0, 12)}]`;
+  }
+  return '[REDACTED]';
+}
+
+/**
+ * Build the redaction engine for a configuration: key rules, allowlist and secret rules
+ */
+function createRedactor(config) {
+  const rules = (config.redact || []).map(compileRedactRule);
+  const allow = (config.redactAllow || []).map(compileRedactRule);
+  
+  return {
+    secretRules: getSecretRules(config),
+    // Returns the mask for a key path, or null when the value is kept
+    maskFor(keyPath) {
+      if (allow.some(rule => rule.test(keyPath))) return null;
+      const rule = rules.find(candidate => candidate.test(keyPath));
+      return rule ? (rule.mask || config.redactMask || 'full') : null;
+    }
+  };
+}
+
+/**
+ * Name shown for objects cut off by the depth limit
+ */
+function describeObject(value) {
+  if (Array.isArray(value)) return `[Array(${value.length})]`;
+  const name = value.constructor && value.constructor.name;
+  return `[${name || 'Object'}]`;
+}
+
+/**
+ * Items kept from arrays and Sets before the rest is summarized; reports never show more
+ */
+const MAX_SERIALIZED_ITEMS = 100;
+
+/**
+ * Extra characters past `maxStringLength` scanned for secrets, so a secret that
+ * straddles the cut is still recognized and masked as a whole
+ */
+const SECRET_SCAN_MARGIN = 1024;
+
+/**
+ * Turn any value into JSON-safe data. Cycles, BigInt, Buffers, Maps/Sets, Dates,
+ * class instances and throwing getters never make serialization throw.
+ * Long strings and arrays are cut before anything else is done with them.
+ * With a `redactor`, keys are masked and strings scanned for secrets on the way.
+ */
+function toSerializable(value, options = {}, keyPath = [], ancestors = []) {
+  const {
+    redactor = null,
+    maxDepth = defaultOptions.maxDataDepth,
+    maxStringLength = defaultOptions.maxStringLength
+  } = options;
+  
+  switch (typeof value) {
+    case 'string': {
+      const truncated = value.length > maxStringLength;
+      const head = truncated ? value.slice(0, maxStringLength + SECRET_SCAN_MARGIN) : value;
+      const text = redactor ? redactSecrets(head, redactor.secretRules) : head;
+      return truncated
+        ? `${text.slice(0, maxStringLength)}… (+${value.length - maxStringLength} chars) [TRUNCATED]`
+        : text;
+    }
+    case 'number':
+      return Number.isFinite(value) ? value : String(value);
+    case 'boolean':
+      return value;
+    case 'undefined':
+      return '[undefined]';
+    case 'bigint':
+      return `${value}n`;
+    case 'symbol':
+      return value.toString();
+    case 'function':
+      return `[Function: ${value.name || 'anonymous'}]`;
+  }
+  if (value === null) return null;
+  if (ancestors.includes(value)) return '[Circular]';
+  
+  const child = (item, key) => {
+    const childPath = [...keyPath, key];
+    const mask = redactor && childPath.length > 1 && redactor.maskFor(childPath);
+    return mask ? maskValue(item, mask, childPath) : toSerializable(item, options, childPath, ancestors);
+  };
+  const read = (key) => {
+    try {
+      return child(value[key], key);
+    } catch (err) {
+      return `[Thrown: ${err && err.message}]`;
+    }
+  };
+  
+  try {
+    if (value instanceof ArrayBuffer) return `[ArrayBuffer: ${value.byteLength} bytes]`;
+    if (ArrayBuffer.isView(value)) {
+      return `[${Buffer.isBuffer(value) ? 'Buffer' : value.constructor.name}: ${value.byteLength} bytes]`;
+    }
+    if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    if (value instanceof RegExp) return String(value);
+    if (ancestors.length >= maxDepth) return describeObject(value);
+    
+    ancestors.push(value);
+    try {
+      if (Array.isArray(value) || value instanceof Set) {
+        const items = [];
+        const size = Array.isArray(value) ? value.length : value.size;
+        if (Array.isArray(value)) {
+          for (let index = 0; index < Math.min(size, MAX_SERIALIZED_ITEMS); index++) items.push(read(index));
+        } else {
+          for (const item of value) {
+            if (items.length >= MAX_SERIALIZED_ITEMS) break;
+            items.push(child(item, items.length));
+          }
+        }
+        if (size > MAX_SERIALIZED_ITEMS) items.push(`[TRUNCATED: ${size - MAX_SERIALIZED_ITEMS} more items]`);
+        return items;
+      }
+      
+      const result = {};
+      if (value instanceof Map) {
+        value.forEach((item, key) => {
+          result[typeof key === 'object' && key !== null ? describeObject(key) : String(key)] = child(item, String(key));
+        });
+        return result;
+      }
+      if (value instanceof Error) {
+        result.name = value.name;
+        result.message = child(value.message, 'message');
+      } else if (typeof value.toJSON === 'function') {
+        const json = value.toJSON();
+        if (json !== value) {
+          ancestors.pop();
+          return toSerializable(json, options, keyPath, ancestors);
+        }
+      }
+      Object.keys(value).forEach(key => {
+        result[key] = read(key);
+      });
+      return result;
+    } finally {
+      if (ancestors[ancestors.length - 1] === value) ancestors.pop();
+    }
+  } catch (err) {
+    return `[Unserializable: ${err && err.message}]`;
+  }
+}
+
+/**
+ * Shrink serializable data until its JSON fits in `budget` characters,
+ * dropping trailing entries and shortening strings so the result stays valid JSON
+ */
+function fitToSize(value, budget) {
+  if (JSON.stringify(value).length <= budget) return value;
+  
+  if (typeof value === 'string') {
+    const keep = Math.max(budget - 20, 0);
+    return `${value.slice(0, keep)}… [TRUNCATED]`;
+  }
+  if (!value || typeof value !== 'object') return '[TRUNCATED]';
+  
+  const isArray = Array.isArray(value);
+  const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+  const result = isArray ? [] : {};
+  const markerSize = 40;
+  let remaining = budget - 2 - markerSize;
+  let kept = 0;
+  
+  for (const [key, item] of entries) {
+    const overhead = (isArray ? 0 : JSON.stringify(key).length + 1) + 1;
+    if (remaining - overhead < 16) break;
+    const fitted = fitToSize(item, remaining - overhead);
+    const used = JSON.stringify(fitted).length + overhead;
+    if (used > remaining) break;
+    if (isArray) {
+      result.push(fitted);
+    } else {
+      result[key] = fitted;
+    }
+    remaining -= used;
+    kept++;
+  }
+  
+  const omitted = entries.length - kept;
+  if (omitted > 0) {
+    if (isArray) {
+      result.push(`[TRUNCATED: ${omitted} more items]`);
+    } else {
+      result['[TRUNCATED]'] = `${omitted} more keys`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Clean and redact sensitive information from objects.
+ * `root` names the request section (body, query, ...) so path rules can match.
+ */
+function cleanObject(obj, redactor, root, config, maxSize = 1000) {
+  if (!obj || typeof obj !== 'object') return obj;
+  
+  const cleaned = toSerializable(obj, {
+    redactor,
+    maxDepth: config.maxDataDepth,
+    maxStringLength: config.maxStringLength
+  }, [root]);
+  return fitToSize(cleaned, maxSize);
+}
+
+/**
+ * Which diagnostics collectors are on: `true` for all, or an object where
+ * collectors not set to `false` stay on
+ */
+function resolveDiagnostics(option) {
+  if (!option) return [];
+  const names = Object.keys(diagnosticsCollectors);
+  return option === true ? names : names.filter(name => option[name] !== false);
+}
+
+const toMB = bytes => Math.round(bytes / 1024 / 1024);
+
+// Event loop delay needs sampling before the error, so monitoring starts with
+// the first reporter (or report) that asks for it and keeps running, unref'd
+let eventLoopMonitor = null;
+const eventLoopResolutionMs = 20;
+
+/**
+ * Start event loop delay and utilization monitoring, once
+ */
+function startEventLoopMonitor() {
+  if (eventLoopMonitor) return eventLoopMonitor;
+  
+  eventLoopMonitor = { histogram: null, utilization: null, since: new Date().toISOString() };
+  try {
+    eventLoopMonitor.histogram = monitorEventLoopDelay({ resolution: eventLoopResolutionMs });
+    eventLoopMonitor.histogram.enable();
+  } catch {
+    // Not supported on this runtime
+  }
+  if (typeof performance.eventLoopUtilization === 'function') {
+    eventLoopMonitor.utilization = performance.eventLoopUtilization();
+  }
+  return eventLoopMonitor;
+}
+
+// Facts that don't change while the process runs, read once
+const staticDiagnostics = new Map();
+
+/**
+ * Compute a value once and cache it, `null` if it throws
+ */
+function cachedDiagnostic(key, compute) {
+  if (!staticDiagnostics.has(key)) {
+    let value = null;
+    try {
+      value = compute();
+    } catch {
+      // Missing files and unreadable /proc entries just leave the field out
+    }
+    staticDiagnostics.set(key, value);
+  }
+  return staticDiagnostics.get(key);
+}
+
+/**
+ * Walk up from `start` to the first directory containing `name`
+ */
+function findUp(name, start) {
+  let dir = resolve(start);
+  for (;;) {
+    const candidate = join(dir, name);
+    try {
+      statSync(candidate);
+      return candidate;
+    } catch {
+      const parent = dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+}
+
+/**
+ * Where the application lives: the entry script's directory, else the working directory
+ */
+function appDirectory() {
+  return process.argv[1] ? dirname(resolve(process.argv[1])) : process.cwd();
+}
+
+/**
+ * Where container IDs appear. cgroup v1 paths end in the ID (`/docker/<id>`,
+ * `/kubepods/.../<id>`, `docker-<id>.scope`). Under cgroup v2 that file is just `0::/`,
+ * so mount info is searched for the runtime's per-container files
+ * (`/var/lib/docker/containers/<id>/hostname`), never for any 64-hex string: the
+ * overlay2 layer IDs there look the same.
+ */
+const containerIdSources = [
+  { file: '/proc/self/cgroup', pattern: /[/-]([0-9a-f]{64})(?:\.scope)?$/m },
+  { file: '/proc/self/mountinfo', pattern: /containers\/([0-9a-f]{64})\// }
+];
+
+/**
+ * Docker/containerd/Kubernetes container ID from cgroup or mount info
+ */
+function readContainerId() {
+  for (const { file, pattern } of containerIdSources) {
+    try {
+      const match = pattern.exec(readFileSync(file, 'utf8'));
+      if (match) return match[1];
+    } catch {
+      // Not Linux, or not allowed to read it
+    }
+  }
+  return null;
+}
+
+/**
+ * Commit SHA from common CI/deploy environment variables, else from `.git` without running git
+ */
+function readGitSha() {
+  const fromEnv = ['GIT_COMMIT', 'GIT_SHA', 'COMMIT_SHA', 'SOURCE_VERSION', 'GITHUB_SHA', 'CI_COMMIT_SHA', 'VERCEL_GIT_COMMIT_SHA', 'RENDER_GIT_COMMIT', 'HEROKU_SLUG_COMMIT']
+    .map(name => process.env[name])
+    .find(value => /^[0-9a-f]{7,40}$/i.test(value || ''));
+  if (fromEnv) return fromEnv.toLowerCase();
+  
+  let gitDir = findUp('.git', appDirectory());
+  if (!gitDir) return null;
+  if (!statSync(gitDir).isDirectory()) {
+    // Worktrees and submodules: `.git` is a file pointing at the real directory
+    const pointer = /^gitdir: (.+)$/m.exec(readFileSync(gitDir, 'utf8'));
+    if (!pointer) return null;
+    gitDir = resolve(dirname(gitDir), pointer[1].trim());
+  }
+  
+  const head = readFileSync(join(gitDir, 'HEAD'), 'utf8').trim();
+  if (!head.startsWith('ref: ')) return /^[0-9a-f]{40}$/.test(head) ? head : null;
+  
+  // Worktrees keep HEAD to themselves but share refs with the main repository
+  let refsDir = gitDir;
+  try {
+    refsDir = resolve(gitDir, readFileSync(join(gitDir, 'commondir'), 'utf8').trim());
+  } catch {
+    // A regular repository
+  }
+  
+  const ref = head.slice(5);
+  try {
+    return readFileSync(join(refsDir, ref), 'utf8').trim();
+  } catch {
+    // Refs packed by `git gc`
+    const packed = readFileSync(join(refsDir, 'packed-refs'), 'utf8').split('\n').find(line => line.endsWith(` ${ref}`));
+    return packed ? packed.split(' ')[0] : null;
+  }
+}
+
+/**
+ * Runtime diagnostics, each collector guarded so a failing one can't break the
+ * error handler. Everything is synchronous and cheap; static facts are cached.
+ */
+const diagnosticsCollectors = {
+  eventLoop: () => {
+    const monitor = startEventLoopMonitor();
+    const histogram = monitor.histogram;
+    // Until the first sample the histogram reads as NaN/huge values
+    const sampled = histogram && histogram.count !== 0 && Number.isFinite(histogram.mean) && histogram.max > 0;
+    // Samples are timer intervals; the delay is whatever exceeds the resolution
+    const toMs = ns => Number(Math.max(0, ns / 1e6 - eventLoopResolutionMs).toFixed(2));
+    return {
+      since: monitor.since,
+      ...(sampled && {
+        delayMs: { mean: toMs(histogram.mean), p99: toMs(histogram.percentile(99)), max: toMs(histogram.max) }
+      }),
+      ...(monitor.utilization && {
+        utilization: Number(performance.eventLoopUtilization(monitor.utilization).utilization.toFixed(3))
+      })
+    };
+  },
+  
+  handles: () => {
+    const resources = typeof process.getActiveResourcesInfo === 'function' ? process.getActiveResourcesInfo() : null;
+    return {
+      activeHandles: process._getActiveHandles().length,
+      activeRequests: process._getActiveRequests().length,
+      ...(resources && {
+        resources: resources.reduce((counts, type) => ({ ...counts, [type]: (counts[type] || 0) + 1 }), {})
+      })
+    };
+  },
+  
+  heap: () => {
+    const heap = getHeapStatistics();
+    return {
+      usedMB: toMB(heap.used_heap_size),
+      totalMB: toMB(heap.total_heap_size),
+      limitMB: toMB(heap.heap_size_limit),
+      usedOfLimit: Number((heap.used_heap_size / heap.heap_size_limit).toFixed(3))
+    };
+  },
+  
+  os: () => ({
+    loadAverage: os.loadavg().map(load => Number(load.toFixed(2))),
+    freeMemoryMB: toMB(os.freemem()),
+    totalMemoryMB: toMB(os.totalmem()),
+    cpus: os.cpus().length
+  }),
+  
+  host: () => ({
+    hostname: os.hostname(),
+    pid: process.pid,
+    containerId: cachedDiagnostic('containerId', readContainerId)
+  }),
+  
+  git: () => ({ commit: cachedDiagnostic('gitSha', readGitSha) }),
+  
+  package: () => cachedDiagnostic('package', () => {
+    const file = findUp('package.json', appDirectory());
+    if (!file) return null;
+    const { name = null, version = null } = JSON.parse(readFileSync(file, 'utf8'));
+    return { name, version };
+  })
+};
+
+/**
+ * Collect the enabled diagnostics; `null` when none are on
+ */
+function collectDiagnostics(config) {
+  const enabled = resolveDiagnostics(config.diagnostics);
+  if (enabled.length === 0) return null;
+  
+  const diagnostics = {};
+  enabled.forEach(name => {
+    try {
+      const value = diagnosticsCollectors[name]();
+      if (value) diagnostics[name] = value;
+    } catch {
+      // Leave out what can't be collected here
+    }
+  });
+  return diagnostics;
+}
+
+/**
+ * Get system performance metrics
+ */
+function getPerformanceMetrics() {
+  const memUsage = process.memoryUsage();
+  const cpuUsage = process.cpuUsage();
+  const uptime = process.uptime();
+  
+  return {
+    memory: {
+      rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
+      heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
+      heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`,
+      external: `${Math.round(memUsage.external / 1024 / 1024)}MB`
+    },
+    cpu: {
+      user: `${Math.round(cpuUsage.user / 1000)}ms`,
+      system: `${Math.round(cpuUsage.system / 1000)}ms`
+    },
+    uptime: `${Math.round(uptime)}s`
+  };
+}
+
+/**
+ * Severity levels, lowest first
+ */
+const severityLevels = ['info', 'warning', 'error', 'critical'];
+
+/**
+ * Format error severity with appropriate emoji
+ */
+function formatSeverity(severity) {
+  const severityMap = {
+    info: '💡 INFO',
+    warning: '⚠️ WARNING',
+    error: '❌ ERROR',
+    critical: '🚨 CRITICAL'
+  };
+  return severityMap[severity] || severityMap.error;
+}
+
+/**
+ * Classify a stack frame location as node internals, a dependency or app code
+ */
+function classifyFrame(file) {
+  if (!file || file === 'native' || file.startsWith('node:') || file.startsWith('internal/')) {
+    return 'internal';
+  }
+  if (/[\\/]node_modules[\\/]/.test(file)) return 'library';
+  // Older Node.js versions report core modules without a path (e.g. `events.js:315`)
+  if (!/[\\/]/.test(file) || file.startsWith('<')) return 'internal';
+  return 'app';
+}
+
+/**
+ * Parse a single V8 stack line (`    at fn (file:line:column)`) into a frame
+ */
+function parseStackFrame(line) {
+  const match = /^\s*at (?:(async) )?(?:(.*?) \((.*)\)|(.*))$/.exec(line);
+  if (!match) return null;
+  
+  const location = match[3] !== undefined ? match[3] : match[4];
+  const position = /^(.*?)(?::(\d+))?(?::(\d+))?$/.exec(location);
+  const file = position[1] || null;
+  const type = classifyFrame(file);
+  
+  return {
+    raw: line.trim(),
+    functionName: match[2] || null,
+    file,
+    line: position[2] ? Number(position[2]) : null,
+    column: position[3] ? Number(position[3]) : null,
+    async: Boolean(match[1]),
+    type,
+    inApp: type === 'app'
+  };
+}
+
+/**
+ * Parse a V8 stack trace (or an error's stack) into structured frames
+ */
+function parseStackTrace(stack) {
+  const text = stack && typeof stack === 'object' ? stack.stack : stack;
+  if (typeof text !== 'string') return [];
+  
+  return text
+    .split('\n')
+    .map(parseStackFrame)
+    .filter(Boolean);
+}
+
+/**
+ * Length of the longest run of backticks in a string
+ */
+function longestBacktickRun(text) {
+  return (text.match(/`+/g) || []).reduce((longest, run) => Math.max(longest, run.length), 0);
+}
+
+/**
+ * Wrap content in a Markdown code fence that is longer than any backtick
+ * run inside it, so untrusted content can't close the fence early
+ */
+function codeFence(content, language = '') {
+  const text = String(content);
+  const fence = '`'.repeat(Math.max(3, longestBacktickRun(text) + 1));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Wrap a value in an inline code span that survives backticks and newlines
+ */
+function inlineCode(value) {
+  const text = String(value).replace(/\r?\n|\r/g, ' ');
+  const delimiter = '`'.repeat(longestBacktickRun(text) + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${delimiter}${padding}${text}${padding}${delimiter}`;
+}
+
+/**
+ * Break @-mentions and issue references (#123, org/repo#123, GH-123) with a
+ * zero-width space so reports don't notify people or link issues
+ */
+function neutralizeReferences(text) {
+  return String(text)
+    .replace(/(^|[^\w`])@(?=[\w-])/g, '$1@\u200B')
+    .replace(/#(?=\d)/g, '#\u200B')
+    .replace(/\b(GH)-(?=\d)/gi, '$1\u200B-');
+}
+
+/**
+ * Escape untrusted text shown outside code, e.g. in a `<summary>` element
+ */
+function escapeMarkdownHtml(text) {
+  return escapeHtml(neutralizeReferences(String(text).replace(/\r?\n|\r/g, ' ')));
+}
+
+/**
+ * Format a parsed frame location as `file:line:column`
+ */
+function formatFrameLocation(frame) {
+  return [frame.file, frame.line, frame.column].filter(part => part !== null).join(':');
+}
+
+/**
+ * Get the stack trace as plain text lines, with library frames collapsed and
+ * the first in-app frame marked when those options are enabled
+ */
+function formatStackLines(stack, config) {
+  const allLines = (stack || 'No stack trace available').split('\n');
+  const lines = allLines.slice(0, config.maxStackLines);
+  const output = [];
+  
+  if (!config.collapseLibraryFrames && !config.highlightAppFrame) {
+    output.push(...lines);
+  } else {
+    const frames = lines.map(parseStackFrame);
+    const firstAppFrame = frames.find(frame => frame && frame.inApp);
+    let hidden = 0;
+    const flushHidden = () => {
+      if (hidden > 0) output.push(`    ... ${hidden} library/internal frame${hidden === 1 ? '' : 's'} hidden`);
+      hidden = 0;
+    };
+    
+    lines.forEach((line, index) => {
+      const frame = frames[index];
+      if (frame && config.collapseLibraryFrames && !frame.inApp) {
+        hidden++;
+        return;
+      }
+      flushHidden();
+      output.push(config.highlightAppFrame && frame && frame === firstAppFrame ? line.replace(/^\s*/, '  → ') : line);
+    });
+    flushHidden();
+  }
+  
+  if (allLines.length > config.maxStackLines) output.push('... [TRUNCATED]');
+  return output;
+}
+
+/**
+ * Format the stack trace section as a code block or a frame table
+ */
+function formatStackTrace(stack, config) {
+  const lines = (stack || 'No stack trace available').split('\n');
+  const frames = lines.slice(0, config.maxStackLines).map(parseStackFrame);
+  const firstAppFrame = frames.find(frame => frame && frame.inApp);
+  const useTable = config.stackFormat === 'table' && frames.some(Boolean);
+  const md = [];
+  
+  if (useTable) {
+    const cell = value => String(value).replace(/\|/g, '\\|');
+    let hidden = 0;
+    const flushHidden = () => {
+      if (hidden > 0) md.push(`| … | *${hidden} library/internal frame${hidden === 1 ? '' : 's'} hidden* | | |`);
+      hidden = 0;
+    };
+    
+    md.push('| # | Function | Location | Type |');
+    md.push('|---|----------|----------|------|');
+    let frameNumber = 0;
+    frames.forEach(frame => {
+      if (!frame) return;
+      frameNumber++;
+      if (config.collapseLibraryFrames && !frame.inApp) {
+        hidden++;
+        return;
+      }
+      flushHidden();
+      
+      const name = `${frame.async ? 'async ' : ''}${frame.functionName || '<anonymous>'}`;
+      const cells = [String(frameNumber), cell(inlineCode(name)), cell(inlineCode(formatFrameLocation(frame))), frame.type];
+      if (frame === firstAppFrame) {
+        md.push(`| 👉 ${cells.map(value => `**${value}**`).join(' | ')} |`);
+      } else {
+        md.push(`| ${cells.join(' | ')} |`);
+      }
+    });
+    flushHidden();
+    if (lines.length > config.maxStackLines) md.push('| … | *[TRUNCATED]* | | |');
+  } else {
+    md.push(codeFence(formatStackLines(stack, config).join('\n')));
+  }
+  
+  if ((useTable || config.highlightAppFrame) && firstAppFrame) {
+    md.push('');
+    md.push(`**First App Frame:** ${inlineCode(firstAppFrame.functionName || '<anonymous>')} at ${inlineCode(formatFrameLocation(firstAppFrame))}`);
+  }
+  
+  return md;
+}
+
+/**
+ * Source file cache shared by every report, so repeated errors from the
+ * Express middleware don't hit the disk again
+ */
+const sourceCache = new Map();
+const SOURCE_CACHE_LIMIT = 100;
+const MAX_SOURCE_FILE_SIZE = 1024 * 1024;
+const MAX_SOURCE_MAP_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_SOURCE_LINE_LENGTH = 200;
+
+const sourceLanguages = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.tsx': 'tsx',
+  '.json': 'json',
+  '.coffee': 'coffeescript'
+};
+
+/**
+ * Map a stack frame path onto a local file, optionally below `sourceRoot`.
+ * With a source root, leading path segments are dropped until a file exists,
+ * so `/app/src/user.js` resolves to `<sourceRoot>/src/user.js`.
+ */
+function resolveSourcePath(file, sourceRoot) {
+  const path = file.startsWith('file://') ? fileURLToPath(file) : file;
+  if (!sourceRoot) return path;
+  
+  const segments = path.split(/[\\/]/).filter(Boolean);
+  for (let i = 0; i < segments.length; i++) {
+    const candidate = join(resolve(sourceRoot), ...segments.slice(i));
+    try {
+      if (statSync(candidate).isFile()) return candidate;
+    } catch {
+      // Try the next shorter suffix
+    }
+  }
+  return path;
+}
+
+/**
+ * Store a value in a source or source map cache, evicting the least recently
+ * used entry once the cache grows past `SOURCE_CACHE_LIMIT`
+ */
+function setCached(cache, key, value) {
+  cache.delete(key);
+  cache.set(key, value);
+  if (cache.size > SOURCE_CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Read a file as UTF-8, refusing anything larger than `maxSize` bytes
+ */
+function readLimitedFile(path, maxSize) {
+  if (statSync(path).size > maxSize) {
+    throw new Error(`${path} is larger than ${maxSize} bytes`);
+  }
+  return readFileSync(path, 'utf8');
+}
+
+/**
+ * Read a source file as lines, caching the result (including misses)
+ */
+function readSourceLines(file, sourceRoot) {
+  const cacheKey = `${sourceRoot || ''}\0${file}`;
+  if (sourceCache.has(cacheKey)) {
+    const cached = sourceCache.get(cacheKey);
+    setCached(sourceCache, cacheKey, cached);
+    return cached;
+  }
+  
+  let lines = null;
+  try {
+    lines = readLimitedFile(resolveSourcePath(file, sourceRoot), MAX_SOURCE_FILE_SIZE).split(/\r?\n/);
+  } catch {
+    lines = null;
+  }
+  
+  setCached(sourceCache, cacheKey, lines);
+  return lines;
+}
+
+/**
+ * Get the source lines around the first in-app frame, if the file is readable
+ */
+function getSourceContext(stack, config) {
+  const frame = parseStackTrace(stack).find(candidate => candidate.inApp && candidate.line);
+  if (!frame) return null;
+  
+  const lines = readSourceLines(frame.file, config.sourceRoot);
+  if (!lines || frame.line > lines.length) return null;
+  
+  const contextLines = Math.max(0, Number(config.sourceContextLines) || 0);
+  const start = Math.max(1, frame.line - contextLines);
+  const end = Math.min(lines.length, frame.line + contextLines);
+  const snippet = [];
+  for (let number = start; number <= end; number++) {
+    const text = lines[number - 1];
+    snippet.push({
+      number,
+      text: text.length > MAX_SOURCE_LINE_LENGTH ? text.substring(0, MAX_SOURCE_LINE_LENGTH) + '…' : text,
+      current: number === frame.line
+    });
+  }
+  
+  return {
+    file: frame.file,
+    line: frame.line,
+    column: frame.column,
+    language: sourceLanguages[extname(frame.file.replace(/[?#].*$/, '')).toLowerCase()] || '',
+    lines: snippet
+  };
+}
+
+/**
+ * Format a source context snippet with the failing line marked
+ */
+function formatSourceContext(context) {
+  const width = String(context.lines[context.lines.length - 1].number).length;
+  const md = [];
+  
+  context.lines.forEach(({ number, text, current }) => {
+    md.push(`${current ? '>' : ' '} ${String(number).padStart(width)} | ${text}`);
+    if (current && context.column) {
+      md.push(`  ${' '.repeat(width)} | ${' '.repeat(context.column - 1)}^`);
+    }
+  });
+  return [codeFence(md.join('\n'), context.language)];
+}
+
+/**
+ * Parsed source maps, keyed like the source cache (misses are cached as null)
+ */
+const sourceMapCache = new Map();
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Decode one Base64 VLQ source map segment into its numeric fields
+ */
+function decodeVlq(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  
+  for (const char of segment) {
+    const digit = BASE64_DIGITS.indexOf(char);
+    if (digit === -1) throw new Error(`Invalid VLQ character "${char}"`);
+    
+    value += (digit & 31) * 2 ** shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value % 2 ? -Math.floor(value / 2) : Math.floor(value / 2));
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode the `mappings` field into per-line segments of
+ * `[generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex]`
+ */
+function decodeMappings(mappings) {
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+  let nameIndex = 0;
+  
+  return mappings.split(';').map(lineText => {
+    let generatedColumn = 0;
+    const segments = [];
+    
+    lineText.split(',').forEach(segmentText => {
+      if (!segmentText) return;
+      const values = decodeVlq(segmentText);
+      generatedColumn += values[0];
+      const segment = [generatedColumn];
+      
+      if (values.length >= 4) {
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        segment.push(sourceIndex, originalLine, originalColumn);
+        if (values.length >= 5) {
+          nameIndex += values[4];
+          segment.push(nameIndex);
+        }
+      }
+      segments.push(segment);
+    });
+    
+    return segments.sort((a, b) => a[0] - b[0]);
+  });
+}
+
+/**
+ * Read the source map referenced by a generated file's `sourceMappingURL`
+ * comment (a sibling file or an inline data URI), falling back to `<file>.map`
+ */
+function loadSourceMap(path) {
+  const code = readLimitedFile(path, MAX_SOURCE_MAP_FILE_SIZE);
+  const pattern = /\/[/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+  let url = null;
+  let match;
+  while ((match = pattern.exec(code)) !== null) url = match[1];
+  
+  let raw;
+  let mapPath = `${path}.map`;
+  if (url && url.startsWith('data:')) {
+    const [header, ...data] = url.substring(5).split(',');
+    const payload = data.join(',');
+    raw = header.split(';').includes('base64')
+      ? Buffer.from(payload, 'base64').toString('utf8')
+      : decodeURIComponent(payload);
+    mapPath = path;
+  } else {
+    if (url) mapPath = url.startsWith('file://') ? fileURLToPath(url) : resolve(dirname(path), decodeURIComponent(url));
+    raw = readLimitedFile(mapPath, MAX_SOURCE_MAP_FILE_SIZE);
+  }
+  
+  const map = JSON.parse(raw.replace(/^\)\]\}'[^\n]*\n/, ''));
+  if (typeof map.mappings !== 'string' || !Array.isArray(map.sources)) {
+    throw new Error('Unsupported source map format');
+  }
+  
+  const mapDir = dirname(mapPath);
+  return {
+    lines: decodeMappings(map.mappings),
+    names: map.names || [],
+    sourcesContent: map.sourcesContent || [],
+    sources: map.sources.map(source => {
+      const sourcePath = `${map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : ''}${source}`;
+      if (sourcePath.startsWith('file://')) return fileURLToPath(sourcePath);
+      // Bundler URLs such as webpack://app/./src/index.ts keep their project-relative path
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(sourcePath)) return sourcePath.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*\/(\.\/)?/i, '');
+      return resolve(mapDir, sourcePath);
+    })
+  };
+}
+
+/**
+ * Get the parsed source map for a generated file, caching the result
+ */
+function getSourceMap(file, sourceRoot) {
+  const cacheKey = `${sourceRoot || ''}\0${file}`;
+  if (sourceMapCache.has(cacheKey)) return sourceMapCache.get(cacheKey);
+  
+  let map = null;
+  try {
+    map = loadSourceMap(resolveSourcePath(file, sourceRoot));
+  } catch {
+    map = null;
+  }
+  
+  setCached(sourceMapCache, cacheKey, map);
+  return map;
+}
+
+/**
+ * Map a generated `line:column` (1-based) to its original position
+ */
+function findOriginalPosition(map, line, column) {
+  const segments = map.lines[line - 1];
+  if (!segments) return null;
+  
+  let found = null;
+  for (const segment of segments) {
+    if (segment[0] > (column || 1) - 1) break;
+    found = segment;
+  }
+  if (!found || found.length < 4) return null;
+  
+  return {
+    file: map.sources[found[1]],
+    line: found[2] + 1,
+    column: found[3] + 1,
+    name: found.length >= 5 ? map.names[found[4]] : null,
+    content: map.sourcesContent[found[1]]
+  };
+}
+
+/**
+ * Rewrite a stack trace so mapped frames show original files, lines and
+ * function names. Frames that cannot be mapped keep their original text.
+ */
+function applySourceMaps(stack, config) {
+  if (typeof stack !== 'string') return stack;
+  
+  const lines = stack.split('\n');
+  const frames = lines.map(parseStackFrame);
+  const positions = frames.map(frame => {
+    if (!frame || !frame.line || frame.type === 'internal') return null;
+    const map = getSourceMap(frame.file, config.sourceRoot);
+    return map ? findOriginalPosition(map, frame.line, frame.column) : null;
+  });
+  
+  return lines.map((line, index) => {
+    const position = positions[index];
+    if (!position) return line;
+    
+    // Original sources travel with the map; let source context use them
+    if (typeof position.content === 'string' && position.content.length <= MAX_SOURCE_FILE_SIZE) {
+      const cacheKey = `${config.sourceRoot || ''}\0${position.file}`;
+      if (!sourceCache.get(cacheKey)) setCached(sourceCache, cacheKey, position.content.split(/\r?\n/));
+    }
+    
+    // A function's original name is the name at its caller's call site
+    const callerIndex = frames.findIndex((frame, candidate) => candidate > index && frame);
+    const caller = callerIndex === -1 ? null : positions[callerIndex];
+    const name = (caller && caller.name) || frames[index].functionName;
+    const location = `${position.file}:${position.line}:${position.column}`;
+    const indent = /^\s*/.exec(line)[0];
+    return `${indent}at ${frames[index].async ? 'async ' : ''}${name ? `${name} (${location})` : location}`;
+  }).join('\n');
+}
+
+/**
+ * Walk `err.cause` and `AggregateError.errors` into a flat list of nested errors
+ */
+function collectNestedErrors(err, config) {
+  const maxDepth = config.maxCauseDepth;
+  const rules = getSecretRules(config);
+  const seen = new Set([err]);
+  const nested = [];
+  
+  const visit = (parent, depth) => {
+    if (!parent || typeof parent !== 'object') return;
+    
+    const children = [];
+    if (parent.cause !== undefined && parent.cause !== null) {
+      children.push({ label: 'Caused by', value: parent.cause });
+    }
+    if (Array.isArray(parent.errors)) {
+      parent.errors.forEach((value, index) => {
+        children.push({ label: `Aggregated error ${index + 1}/${parent.errors.length}`, value });
+      });
+    }
+    
+    if (children.length > 0 && depth > maxDepth) {
+      nested.push({ label: 'Nested errors omitted', depth, omitted: true, maxDepth });
+      return;
+    }
+    
+    for (const { label, value } of children) {
+      const isErrorLike = typeof value === 'object';
+      const circular = isErrorLike && seen.has(value);
+      const stack = isErrorLike && !circular && typeof value.stack === 'string' ? value.stack : null;
+      
+      nested.push({
+        label,
+        depth,
+        name: isErrorLike ? (value.name || value.constructor?.name || 'Error') : typeof value,
+        message: redactSecrets(isErrorLike ? (value.message || 'Unknown Error') : String(value), rules),
+        code: (isErrorLike && value.code) || null,
+        stack: redactSecrets(stack && config.sourceMaps ? applySourceMaps(stack, config) : stack, rules),
+        circular
+      });
+      
+      if (isErrorLike && !circular) {
+        seen.add(value);
+        visit(value, depth + 1);
+      }
+    }
+  };
+  
+  visit(err, 1);
+  return nested;
+}
+
+/**
+ * Format a nested error (or a thrown non-Error value) as a collapsible section
+ */
+function formatNestedError(entry, config) {
+  const indent = '↳ '.repeat(entry.depth - 1);
+  
+  if (entry.omitted) {
+    return [`${indent}*… further nested errors omitted (max depth ${entry.maxDepth} reached)*`, ''];
+  }
+  
+  if (entry.circular) {
+    return [`${indent}**${entry.label}:** ${inlineCode(`${entry.name}: ${entry.message}`)} *(circular reference, already shown)*`, ''];
+  }
+  
+  const md = [];
+  md.push('<details>');
+  md.push(`<summary>${indent}${escapeMarkdownHtml(`${entry.label}: ${entry.name}: ${entry.message}`)}</summary>`);
+  md.push('');
+  md.push(codeFence(entry.message));
+  if (entry.name !== 'Error') md.push(`- **Error Type:** ${inlineCode(entry.name)}`);
+  if (entry.code) md.push(`- **Error Code:** ${inlineCode(entry.code)}`);
+  
+  if (entry.stack) {
+    const stackLines = entry.stack.split('\n');
+    const shown = stackLines.slice(0, config.maxCauseStackLines);
+    if (stackLines.length > config.maxCauseStackLines) shown.push('... [TRUNCATED]');
+    md.push(codeFence(shown.join('\n')));
+  }
+  
+  md.push('</details>');
+  md.push('');
+  return md;
+}
+
+/**
+ * Apply the redaction engine to a URL: query values by `query.<key>` and
+ * path segments holding a redacted route param by `params.<name>`
+ */
+function redactUrl(url, params, redactor) {
+  if (typeof url !== 'string') return url;
+  
+  const queryStart = url.indexOf('?');
+  let path = queryStart === -1 ? url : url.slice(0, queryStart);
+  let query = queryStart === -1 ? null : url.slice(queryStart + 1);
+  
+  if (params && typeof params === 'object') {
+    const segments = path.split('/');
+    Object.keys(params).forEach(name => {
+      const value = params[name];
+      const mask = value != null && redactor.maskFor(['params', name]);
+      if (!mask) return;
+      const raw = String(value);
+      const encoded = encodeURIComponent(raw);
+      segments.forEach((segment, i) => {
+        if (segment && (segment === raw || segment === encoded)) {
+          segments[i] = maskValue(raw, mask, ['params', name]);
+        }
+      });
+    });
+    path = segments.join('/');
+  }
+  
+  if (query) {
+    query = query.split('&').map(pair => {
+      const separator = pair.indexOf('=');
+      if (separator === -1) return pair;
+      const rawKey = pair.slice(0, separator);
+      let key = rawKey;
+      let value = pair.slice(separator + 1);
+      try {
+        key = decodeURIComponent(rawKey.replace(/\+/g, ' '));
+        value = decodeURIComponent(value.replace(/\+/g, ' '));
+      } catch {
+        // Keep malformed escapes as they are
+      }
+      const mask = redactor.maskFor(['query', key]);
+      return mask ? `${rawKey}=${maskValue(value, mask, ['query', key])}` : pair;
+    }).join('&');
+  }
+  
+  return redactSecrets(query === null ? path : `${path}?${query}`, redactor.secretRules);
+}
+
+/**
+ * Collect the request details shown in reports, with sensitive data redacted
+ */
+function buildRequestDetails(req, config) {
+  const hasKeys = value => Boolean(value) && typeof value === 'object' && Object.keys(value).length > 0;
+  const redactor = createRedactor(config);
+  const startedAt = requestStartTime(req);
+  
+  return {
+    method: req.method || null,
+    url: redactUrl(req.originalUrl || req.url || null, req.params, redactor),
+    // Matched route pattern, e.g. /api/users/:id (Express: mount path + route path)
+    route: matchedRoute(req),
+    startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+    durationMs: startedAt ? Date.now() - startedAt : null,
+    ip: req.ip || req.connection?.remoteAddress || 'unknown',
+    userAgent: redactSecrets((config.includeUserAgent && req.headers?.['user-agent']) || null, redactor.secretRules),
+    body: hasKeys(req.body) ? cleanObject(req.body, redactor, 'body', config, config.maxBodySize) : null,
+    query: hasKeys(req.query) ? cleanObject(req.query, redactor, 'query', config) : null,
+    params: hasKeys(req.params) ? cleanObject(req.params, redactor, 'params', config) : null,
+    headers: req.headers ? cleanObject(req.headers, redactor, 'headers', config) : null,
+    response: req.res && typeof req.res === 'object' ? buildResponseDetails(req.res, redactor, config) : null
+  };
+}
+
+/**
+ * The response as it stood when the error happened (Express sets `req.res`):
+ * status, whether headers went out, headers set so far and `res.locals` keys
+ */
+function buildResponseDetails(res, redactor, config) {
+  let headers = null;
+  try {
+    headers = typeof res.getHeaders === 'function' ? res.getHeaders() : null;
+  } catch {
+    // Not a real ServerResponse
+  }
+  
+  return {
+    statusCode: typeof res.statusCode === 'number' ? res.statusCode : null,
+    headersSent: Boolean(res.headersSent),
+    headers: headers && Object.keys(headers).length > 0 ? cleanObject({ ...headers }, redactor, 'responseHeaders', config) : null,
+    locals: res.locals && typeof res.locals === 'object' ? Object.keys(res.locals) : []
+  };
+}
+
+/**
+ * When a request started, in ms: from its request scope, or `req._startTime`
+ * as set by morgan and response-time
+ */
+function requestStartTime(req) {
+  const scope = findScope(req);
+  if (scope) return scope.startedAt;
+  const started = req && req._startTime;
+  return started instanceof Date ? started.getTime() : typeof started === 'number' ? started : null;
+}
+
+// Request scopes (AsyncLocalStorage) hold breadcrumbs and context; breadcrumbs
+// outside a scope go to a global ring buffer
+const scopeStorage = new AsyncLocalStorage();
+const requestScopes = new WeakMap();
+const globalBreadcrumbs = [];
+const breadcrumbLevels = ['debug', 'info', 'warning', 'error'];
+let maxBreadcrumbs = 100;
+// Set while error-to-md itself logs or sends, so its own output isn't recorded
+let breadcrumbsPaused = false;
+
+/**
+ * Run `fn` without recording breadcrumbs
+ */
+function withoutBreadcrumbs(fn) {
+  const previous = breadcrumbsPaused;
+  breadcrumbsPaused = true;
+  try {
+    return fn();
+  } finally {
+    breadcrumbsPaused = previous;
+  }
+}
+
+/**
+ * Append to a breadcrumb list, dropping the oldest entries past the limit
+ */
+function pushBreadcrumb(list, breadcrumb) {
+  list.push(breadcrumb);
+  if (list.length > maxBreadcrumbs) list.splice(0, list.length - maxBreadcrumbs);
+}
+
+/**
+ * Record a breadcrumb in the global ring buffer and in `scope`, if given
+ */
+function recordBreadcrumb(breadcrumb, scope) {
+  if (breadcrumbsPaused) return null;
+  
+  const { category = 'custom', level = 'info', message = '', data, timestamp } = typeof breadcrumb === 'string'
+    ? { message: breadcrumb }
+    : breadcrumb || {};
+  const time = new Date(timestamp === undefined ? Date.now() : timestamp);
+  const entry = {
+    timestamp: (Number.isNaN(time.getTime()) ? new Date() : time).toISOString(),
+    category: String(category),
+    level: breadcrumbLevels.includes(level) ? level : 'info',
+    message: String(message),
+    ...(data !== undefined && { data })
+  };
+  
+  pushBreadcrumb(globalBreadcrumbs, entry);
+  if (scope) pushBreadcrumb(scope.breadcrumbs, entry);
+  return entry;
+}
+
+/**
+ * Record a custom breadcrumb: a message string or `{ category, level, message, data }`.
+ * It goes to the current request scope (if any) and the global ring buffer.
+ */
+function addBreadcrumb(breadcrumb) {
+  return recordBreadcrumb(breadcrumb, scopeStorage.getStore());
+}
+
+/**
+ * Breadcrumbs of a request's scope, or the current scope, or else the global ring buffer
+ */
+function getBreadcrumbs(req = null) {
+  const scope = findScope(req);
+  return [...(scope ? scope.breadcrumbs : globalBreadcrumbs)];
+}
+
+/**
+ * Breadcrumbs for a report. A request without a scope gets none: the global ring
+ * buffer mixes in other requests' logs and calls, so only reports without a
+ * request (crashes, background jobs) fall back to it.
+ */
+function reportBreadcrumbs(req) {
+  const scope = findScope(req);
+  if (scope) return [...scope.breadcrumbs];
+  return req ? [] : [...globalBreadcrumbs];
+}
+
+/**
+ * Empty the current scope's breadcrumbs, or the global ring buffer outside a scope
+ */
+function clearBreadcrumbs() {
+  const scope = scopeStorage.getStore();
+  (scope ? scope.breadcrumbs : globalBreadcrumbs).length = 0;
+}
+
+/**
+ * Run `fn` with its own breadcrumbs and context, e.g. per request or job. Passing
+ * the request lets reports find the scope even where AsyncLocalStorage context is lost.
+ */
+function runWithScope(fn, req = null) {
+  const scope = { breadcrumbs: [], context: createContext(), startedAt: Date.now() };
+  if (req && typeof req === 'object') requestScopes.set(req, scope);
+  return scopeStorage.run(scope, fn);
+}
+
+/**
+ * @deprecated Use `runWithScope`, which also carries context
+ */
+const runWithBreadcrumbs = runWithScope;
+
+/**
+ * Breadcrumbs for a report: secrets and sensitive keys redacted, long strings
+ * cut, and URLs of HTTP calls redacted like the request URL
+ */
+function serializeBreadcrumbs(breadcrumbs, redactor, config) {
+  const options = { redactor, maxDepth: config.maxDataDepth, maxStringLength: config.maxStringLength };
+  
+  return breadcrumbs.map(breadcrumb => {
+    let { message, data } = breadcrumb;
+    if (data && typeof data === 'object' && typeof data.url === 'string') {
+      const url = redactUrl(data.url, null, redactor);
+      message = message.split(data.url).join(url);
+      data = { ...data, url };
+    }
+    return {
+      ...breadcrumb,
+      message: toSerializable(message, options),
+      ...(data !== undefined && { data: toSerializable(data, options, ['breadcrumbs']) })
+    };
+  });
+}
+
+/**
+ * Empty context: who was affected, tags, extra data and custom sections
+ */
+function createContext() {
+  return { user: null, tags: {}, extra: {}, sections: {} };
+}
+
+// Context set with setGlobalContext, shared by every report in the process
+const globalContext = createContext();
+let warnedUnscopedContext = false;
+
+/**
+ * The scope for a request (or the current async context), if any
+ */
+function findScope(req = null) {
+  return (req && typeof req === 'object' && requestScopes.get(req)) || scopeStorage.getStore() || null;
+}
+
+/**
+ * Context of the current scope. Outside one, setters warn once and change nothing:
+ * falling back to the process-wide context would put one request's user on every
+ * later report.
+ */
+function currentContext(setter) {
+  const scope = scopeStorage.getStore();
+  if (scope) return scope.context;
+  
+  if (!warnedUnscopedContext) {
+    warnedUnscopedContext = true;
+    withoutBreadcrumbs(() => console.warn(`[error-to-md] ${setter}() was called outside a request scope and was ignored. Mount scopeMiddleware() first, or use setGlobalContext() for process-wide values.`));
+  }
+  return null;
+}
+
+/**
+ * Set or (with `null`/`undefined`) remove one entry of a context map
+ */
+function setContextEntry(map, key, value) {
+  if (value === null || value === undefined) {
+    delete map[key];
+  } else {
+    map[String(key)] = value;
+  }
+}
+
+/**
+ * Normalize a user: a string is taken as the ID, `null`/`undefined` clears it
+ */
+function toContextUser(user) {
+  if (user === null || user === undefined) return null;
+  return typeof user === 'object' ? { ...user } : { id: String(user) };
+}
+
+/**
+ * Who was affected, e.g. `{ id, email, username }`; a string is taken as the ID, `null` clears it
+ */
+function setUser(user) {
+  const context = currentContext('setUser');
+  if (context) context.user = toContextUser(user);
+}
+
+/**
+ * Short searchable value such as tenant, feature or region
+ */
+function setTag(key, value) {
+  const context = currentContext('setTag');
+  if (context) setContextEntry(context.tags, key, value);
+}
+
+/**
+ * Any additional data to include in reports
+ */
+function setExtra(key, value) {
+  const context = currentContext('setExtra');
+  if (context) setContextEntry(context.extra, key, value);
+}
+
+/**
+ * A custom report section with its own heading: a string or JSON-ready data
+ */
+function setSection(name, value) {
+  const context = currentContext('setSection');
+  if (context) setContextEntry(context.sections, name, value);
+}
+
+/**
+ * Process-wide context for every report, under each request's own, e.g.
+ * `{ tags: { region: 'eu-west-1' } }`. Entries are merged like the setters
+ * (`null` removes one); `setGlobalContext(null)` clears it all.
+ */
+function setGlobalContext(values) {
+  if (values === null || values === undefined) {
+    Object.assign(globalContext, createContext());
+    return;
+  }
+  if ('user' in values) globalContext.user = toContextUser(values.user);
+  ['tags', 'extra', 'sections'].forEach(kind => {
+    Object.keys(values[kind] || {}).forEach(key => setContextEntry(globalContext[kind], key, values[kind][key]));
+  });
+}
+
+/**
+ * Context for a request (or the current scope) on top of the process-wide context
+ */
+function getContext(req = null) {
+  const scope = findScope(req);
+  const local = scope ? scope.context : createContext();
+  return {
+    user: local.user || globalContext.user,
+    tags: { ...globalContext.tags, ...local.tags },
+    extra: { ...globalContext.extra, ...local.extra },
+    sections: { ...globalContext.sections, ...local.sections }
+  };
+}
+
+/**
+ * Reset the current scope's context; `setGlobalContext(null)` resets the process-wide one
+ */
+function clearContext() {
+  const scope = scopeStorage.getStore();
+  if (scope) Object.assign(scope.context, createContext());
+}
+
+/**
+ * Context for a report, redacted like request data; `null` when nothing was set
+ */
+function serializeContext(context, redactor, config) {
+  const options = { redactor, maxDepth: config.maxDataDepth, maxStringLength: config.maxStringLength };
+  const hasKeys = value => Object.keys(value).length > 0;
+  if (!context.user && !hasKeys(context.tags) && !hasKeys(context.extra) && !hasKeys(context.sections)) return null;
+  
+  const sections = {};
+  Object.keys(context.sections).forEach(name => {
+    sections[name] = toSerializable(context.sections[name], options, ['sections', name]);
+  });
+  return {
+    user: context.user ? toSerializable(context.user, options, ['user']) : null,
+    tags: toSerializable(context.tags, options, ['tags']),
+    extra: toSerializable(context.extra, options, ['extra']),
+    sections
+  };
+}
+
+/**
+ * Correlation IDs from W3C `traceparent` and `x-request-id` headers
+ */
+function getCorrelation(headers, redactor) {
+  if (!headers || typeof headers !== 'object') return null;
+  
+  const header = name => {
+    const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+    const value = key === undefined ? undefined : headers[key];
+    return Array.isArray(value) ? value[0] : value;
+  };
+  // version-traceId-parentId-flags; all-zero IDs and version ff are invalid
+  const trace = /^([\da-f]{2})-([\da-f]{32})-([\da-f]{16})-([\da-f]{2})$/.exec(String(header('traceparent') || '').trim().toLowerCase());
+  const validTrace = trace && trace[1] !== 'ff' && !/^0+$/.test(trace[2]) && !/^0+$/.test(trace[3]);
+  const requestId = header('x-request-id');
+  
+  const correlation = {
+    ...(validTrace && { traceId: trace[2], spanId: trace[3], sampled: (parseInt(trace[4], 16) & 1) === 1 }),
+    ...(requestId && { requestId: toSerializable(String(requestId), { redactor, maxStringLength: 200 }) })
+  };
+  return Object.keys(correlation).length > 0 ? correlation : null;
+}
+
+/**
+ * Short duration for timelines, e.g. `850ms` or `1.25s`
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Build a structured report from an error and optional request.
+ * The result is plain, JSON-serializable data shared by every renderer.
+ */
+function buildErrorReport(err, req = null, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const startTime = performance.now();
+  const rules = getSecretRules(config);
+  const redactor = createRedactor(config);
+  const mappedStack = config.sourceMaps ? applySourceMaps(err.stack, config) : err.stack;
+  const stack = redactSecrets(mappedStack, rules);
+  
+  const fingerprint = config.fingerprint || err.fingerprint != null ? getFingerprint(err, req, config) : null;
+  
+  const report = {
+    errorId: config.generateErrorId
+      ? (fingerprint ? `ERR-${fingerprint.substring(0, 8).toUpperCase()}` : generateErrorId(err, req))
+      : null,
+    fingerprint,
+    timestamp: config.includeTimestamp ? new Date().toISOString() : null,
+    severity: severityLevels.includes(config.severity) ? config.severity : 'error',
+    error: {
+      name: err.name || 'Error',
+      message: redactSecrets(err.message || 'Unknown Error', rules),
+      code: err.code || null,
+      stack: stack || null,
+      frames: parseStackTrace(stack),
+      nested: config.includeCauses ? collectNestedErrors(err, config) : []
+    },
+    sourceContext: config.includeSourceContext ? getSourceContext(mappedStack, config) : null,
+    request: req ? buildRequestDetails(req, config) : null,
+    context: config.includeContext ? serializeContext(getContext(req), redactor, config) : null,
+    correlation: config.includeContext && req ? getCorrelation(req.headers, redactor) : null,
+    breadcrumbs: config.includeBreadcrumbs ? serializeBreadcrumbs(reportBreadcrumbs(req), redactor, config) : null,
+    environment: config.includeEnvironment ? {
+      nodeVersion: process.version,
+      platform: process.platform,
+      arch: process.arch,
+      nodeEnv: process.env.NODE_ENV || 'development',
+      appVersion: config.appVersion ? String(config.appVersion) : null
+    } : null,
+    performance: config.includeEnvironment && config.includeMemoryUsage ? getPerformanceMetrics() : null,
+    diagnostics: collectDiagnostics(config),
+    generationTimeMs: null
+  };
+  
+  if (config.includePerformance) {
+    report.generationTimeMs = Number((performance.now() - startTime).toFixed(2));
+  }
+  
+  return report;
+}
+
+/**
+ * Built-in Markdown sections. Each returns the section's lines, or an empty
+ * array when there is nothing to show.
+ */
+const markdownSections = {
+  header: (report, { theme, labels }) => [
+    theme.title,
+    ...(report.errorId ? [`**${labels.errorId}:** ${inlineCode(report.errorId)}`] : []),
+    ...(report.timestamp ? [`**${labels.timestamp}:** ${inlineCode(report.timestamp)}`] : [])
+  ],
+  
+  severity: (report, { labels }) => [`**${labels.severity}:** ${formatSeverity(report.severity)}`],
+  
+  message: (report, { theme, labels }) => [
+    `${theme.errorIcon} **${labels.message}:**`,
+    codeFence(report.error.message)
+  ],
+  
+  type: (report, { labels }) => (report.error.name !== 'Error'
+    ? [`**${labels.type}:** ${inlineCode(report.error.name)}`]
+    : []),
+  
+  // Error Code (for system errors)
+  code: (report, { labels }) => (report.error.code
+    ? [`**${labels.code}:** ${inlineCode(report.error.code)}`]
+    : []),
+  
+  stack: (report, { theme, labels, config }) => [
+    `${theme.stackIcon} **${labels.stack}:**`,
+    ...formatStackTrace(report.error.stack, config)
+  ],
+  
+  source: (report, { theme, labels }) => {
+    const context = report.sourceContext;
+    if (!context) return [];
+    return [
+      `${theme.sourceIcon} **${labels.source}:** ${inlineCode(`${context.file}:${context.line}`)}`,
+      ...formatSourceContext(context)
+    ];
+  },
+  
+  // Nested Errors (error.cause chain and AggregateError.errors)
+  causes: (report, { theme, labels, config }) => {
+    if (report.error.nested.length === 0) return [];
+    const md = [`${theme.causeIcon} **${labels.causes}:**`, ''];
+    report.error.nested.forEach(entry => md.push(...formatNestedError(entry, config)));
+    return md;
+  },
+  
+  request: (report, { theme, labels }) => {
+    const request = report.request;
+    if (!request) return [];
+    
+    const md = [];
+    md.push(`${theme.requestIcon} **${labels.request}:**`);
+    md.push(`- **Method:** ${inlineCode(request.method)}`);
+    md.push(`- **URL:** ${inlineCode(request.url)}`);
+    
+    if (request.route) {
+      md.push(`- **Route:** ${inlineCode(request.route)}`);
+    }
+    
+    md.push(`- **IP:** ${inlineCode(request.ip)}`);
+    
+    if (request.durationMs !== null && request.durationMs !== undefined) {
+      md.push(`- **Duration:** ${inlineCode(formatDuration(request.durationMs))} (started ${inlineCode(request.startedAt)})`);
+    }
+    
+    if (request.userAgent) {
+      md.push(`- **User Agent:** ${inlineCode(request.userAgent)}`);
+    }
+    
+    if (request.body) {
+      md.push(`- **Body:**`);
+      md.push(codeFence(JSON.stringify(request.body, null, 2), 'json'));
+    }
+    
+    if (request.query) {
+      md.push(`- **Query Parameters:**`);
+      md.push(codeFence(JSON.stringify(request.query, null, 2), 'json'));
+    }
+    
+    if (request.params) {
+      md.push(`- **Route Parameters:**`);
+      md.push(codeFence(JSON.stringify(request.params, null, 2), 'json'));
+    }
+    
+    // Headers (redacted)
+    if (request.headers) {
+      md.push(`- **Headers:**`);
+      md.push(codeFence(JSON.stringify(request.headers, null, 2), 'json'));
+    }
+    
+    const response = request.response;
+    if (response) {
+      if (response.statusCode !== null) {
+        md.push(`- **Response Status:** ${inlineCode(response.statusCode)}${response.headersSent ? ' (headers already sent)' : ''}`);
+      }
+      if (response.locals.length > 0) {
+        md.push(`- **res.locals Keys:** ${response.locals.map(key => inlineCode(key)).join(', ')}`);
+      }
+      if (response.headers) {
+        md.push(`- **Response Headers:**`);
+        md.push(codeFence(JSON.stringify(response.headers, null, 2), 'json'));
+      }
+    }
+    return md;
+  },
+  
+  context: (report, { theme, labels }) => {
+    const context = report.context;
+    if (!context) return [];
+    
+    const md = [];
+    const tags = Object.entries(context.tags || {});
+    const extra = context.extra || {};
+    if (context.user || tags.length > 0 || Object.keys(extra).length > 0) {
+      md.push(`${theme.contextIcon} **${labels.context}:**`);
+      if (context.user) {
+        md.push(`- **User:** ${Object.entries(context.user).map(([key, value]) => inlineCode(`${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)).join(' ')}`);
+      }
+      if (tags.length > 0) {
+        md.push(`- **Tags:** ${tags.map(([key, value]) => inlineCode(`${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)).join(' ')}`);
+      }
+      if (Object.keys(extra).length > 0) {
+        md.push(`- **Extra:**`);
+        md.push(codeFence(JSON.stringify(extra, null, 2), 'json'));
+      }
+    }
+    
+    // Custom sections, each with its own heading
+    Object.entries(context.sections || {}).forEach(([name, value]) => {
+      if (md.length > 0) md.push('');
+      md.push(`${theme.sectionIcon} **${escapeMarkdownHtml(name)}:**`);
+      md.push(typeof value === 'string' ? codeFence(value) : codeFence(JSON.stringify(value, null, 2), 'json'));
+    });
+    return md;
+  },
+  
+  correlation: (report, { theme, labels }) => {
+    const correlation = report.correlation;
+    if (!correlation) return [];
+    
+    const md = [`${theme.correlationIcon} **${labels.correlation}:**`];
+    if (correlation.traceId) {
+      md.push(`- **Trace ID:** ${inlineCode(correlation.traceId)}`);
+      md.push(`- **Span ID:** ${inlineCode(correlation.spanId)}${correlation.sampled ? ' (sampled)' : ''}`);
+    }
+    if (correlation.requestId) {
+      md.push(`- **Request ID:** ${inlineCode(correlation.requestId)}`);
+    }
+    return md;
+  },
+  
+  breadcrumbs: (report, { theme, labels }) => {
+    const breadcrumbs = report.breadcrumbs;
+    if (!breadcrumbs || breadcrumbs.length === 0) return [];
+    
+    // Times are relative to the error
+    const end = Date.parse(report.timestamp || breadcrumbs[breadcrumbs.length - 1].timestamp);
+    const md = [`${theme.breadcrumbIcon} **${labels.breadcrumbs}:**`];
+    breadcrumbs.forEach(breadcrumb => {
+      const offset = Date.parse(breadcrumb.timestamp) - end;
+      const { method, url, statusCode, durationMs, error, ...rest } = breadcrumb.data && typeof breadcrumb.data === 'object'
+        ? breadcrumb.data
+        : { ...(breadcrumb.data !== undefined && { value: breadcrumb.data }) };
+      const parts = [
+        inlineCode(`${offset > 0 ? '+' : '-'}${formatDuration(Math.abs(offset))}`),
+        `**${escapeMarkdownHtml(breadcrumb.category)}**`,
+        ...(['warning', 'error'].includes(breadcrumb.level) ? [`_${breadcrumb.level}_`] : []),
+        ...(breadcrumb.message ? [inlineCode(breadcrumb.message)] : []),
+        ...(statusCode !== undefined ? [`→ ${inlineCode(statusCode)}`] : []),
+        ...(durationMs !== undefined ? [`(${formatDuration(durationMs)})`] : []),
+        ...(error !== undefined ? [inlineCode(error)] : []),
+        ...(Object.keys(rest).length > 0 ? [inlineCode(JSON.stringify(rest))] : [])
+      ];
+      md.push(`- ${parts.join(' ')}`);
+    });
+    return md;
+  },
+  
+  environment: (report, { theme, labels }) => {
+    const environment = report.environment;
+    if (!environment) return [];
+    
+    const md = [];
+    md.push(`${theme.envIcon} **${labels.environment}:**`);
+    md.push(`- **Node.js Version:** ${inlineCode(environment.nodeVersion)}`);
+    md.push(`- **Platform:** ${inlineCode(`${environment.platform} ${environment.arch}`)}`);
+    md.push(`- **Environment:** ${inlineCode(environment.nodeEnv)}`);
+    
+    if (environment.appVersion) {
+      md.push(`- **App Version:** ${inlineCode(environment.appVersion)}`);
+    }
+    
+    if (report.performance) {
+      const perf = report.performance;
+      md.push(`- **Memory Usage:** RSS: \`${perf.memory.rss}\`, Heap: \`${perf.memory.heapUsed}/${perf.memory.heapTotal}\``);
+      md.push(`- **CPU Usage:** User: \`${perf.cpu.user}\`, System: \`${perf.cpu.system}\``);
+      md.push(`- **Process Uptime:** \`${perf.uptime}\``);
+    }
+    return md;
+  },
+  
+  diagnostics: (report, { theme, labels }) => {
+    const diagnostics = report.diagnostics;
+    if (!diagnostics || Object.keys(diagnostics).length === 0) return [];
+    
+    const { eventLoop, handles, heap, os: system, host, git } = diagnostics;
+    const md = [`${theme.diagnosticsIcon} **${labels.diagnostics}:**`];
+    
+    if (diagnostics.package && diagnostics.package.name) {
+      const { name, version } = diagnostics.package;
+      md.push(`- **Package:** ${inlineCode(version ? `${name}@${version}` : name)}`);
+    }
+    if (git && git.commit) {
+      md.push(`- **Commit:** ${inlineCode(git.commit)}`);
+    }
+    if (host) {
+      md.push(`- **Host:** ${inlineCode(host.hostname)}, PID ${inlineCode(host.pid)}${host.containerId ? `, container ${inlineCode(host.containerId.slice(0, 12))}` : ''}`);
+    }
+    if (eventLoop && (eventLoop.delayMs || eventLoop.utilization !== undefined)) {
+      const parts = [];
+      if (eventLoop.delayMs) {
+        parts.push(`delay mean ${inlineCode(`${eventLoop.delayMs.mean}ms`)}, p99 ${inlineCode(`${eventLoop.delayMs.p99}ms`)}, max ${inlineCode(`${eventLoop.delayMs.max}ms`)}`);
+      }
+      if (eventLoop.utilization !== undefined) {
+        parts.push(`utilization ${inlineCode(`${Math.round(eventLoop.utilization * 100)}%`)}`);
+      }
+      md.push(`- **Event Loop:** ${parts.join('; ')}`);
+    }
+    if (handles) {
+      md.push(`- **Active Handles:** ${inlineCode(handles.activeHandles)}, requests ${inlineCode(handles.activeRequests)}`);
+    }
+    if (heap) {
+      md.push(`- **V8 Heap:** ${inlineCode(`${heap.usedMB}MB`)} used of ${inlineCode(`${heap.totalMB}MB`)}, limit ${inlineCode(`${heap.limitMB}MB`)} (${Math.round(heap.usedOfLimit * 100)}%)`);
+    }
+    if (system) {
+      md.push(`- **System:** load ${inlineCode(system.loadAverage.join(' '))}, free memory ${inlineCode(`${system.freeMemoryMB}MB`)} of ${inlineCode(`${system.totalMemoryMB}MB`)}, ${system.cpus} CPU${system.cpus === 1 ? '' : 's'}`);
+    }
+    return md;
+  },
+  
+  performance: (report, { labels }) => (report.generationTimeMs !== null
+    ? [`⚡ **${labels.performance}:** \`${report.generationTimeMs.toFixed(2)}ms\``]
+    : []),
+  
+  footer: (report, { theme }) => [
+    theme.separator,
+    '*Generated by [error-to-md](https://github.com/imankii01/error-to-md) 🚀*'
+  ]
+};
+
+/**
+ * Render one section (built-in or theme-provided) to a string
+ */
+function renderMarkdownSection(name, report, context) {
+  const custom = context.theme.customSections && context.theme.customSections[name];
+  let output;
+  if (custom) {
+    // Theme code runs inside error handlers; a broken section must not take the report down
+    try {
+      output = custom(report, { theme: context.theme, options: context.config, label: context.labels[name] || name });
+    } catch (err) {
+      output = `_⚠️ Section ${inlineCode(name)} failed to render: ${inlineCode(err && err.message ? err.message : err)}_`;
+    }
+  } else {
+    output = markdownSections[name](report, context);
+  }
+  
+  if (output === null || output === undefined) return '';
+  if (Array.isArray(output)) output = output.join('\n');
+  return String(output).replace(/\n+$/, '');
+}
+
+/**
+ * Ways to make a report smaller, tried in order until the output fits:
+ * stack traces first, then headers, then the body, then everything else
+ */
+const shrinkSteps = [
+  ({ report, config }) => ({
+    report: { ...report, sourceContext: null },
+    config: { ...config, maxStackLines: Math.min(config.maxStackLines, 20), maxCauseStackLines: Math.min(config.maxCauseStackLines, 5) }
+  }),
+  ({ report, config }) => ({
+    report: { ...report, error: { ...report.error, nested: report.error.nested.map(entry => ({ ...entry, stack: null })) } },
+    config: { ...config, maxStackLines: Math.min(config.maxStackLines, 5) }
+  }),
+  ({ report, config }) => shrinkRequest(report, config, { headers: headers => fitToSize(headers, 300) }),
+  ({ report, config }) => shrinkRequest(report, config, {
+    headers: () => null,
+    response: response => ({ ...response, headers: null })
+  }),
+  ({ report, config }) => shrinkRequest(report, config, { body: body => fitToSize(body, 500) }),
+  ({ report, config }) => shrinkRequest(report, config, {
+    body: () => null,
+    query: query => fitToSize(query, 200),
+    params: params => fitToSize(params, 200)
+  }),
+  ({ report, config }) => ({
+    report: {
+      ...report,
+      performance: null,
+      diagnostics: null,
+      breadcrumbs: report.breadcrumbs ? report.breadcrumbs.slice(-5) : null,
+      context: report.context ? { ...report.context, extra: {}, sections: {} } : null,
+      error: { ...report.error, nested: report.error.nested.slice(0, 3) }
+    },
+    config
+  }),
+  ({ report, config }) => ({ report: { ...report, error: { ...report.error, stack: null, frames: [], nested: [] } }, config }),
+  ({ report, config }) => ({
+    report: { ...report, error: { ...report.error, message: fitToSize(report.error.message, 500) } },
+    config
+  }),
+  ({ report, config }) => shrinkRequest(report, config, { query: () => null, params: () => null, userAgent: () => null })
+];
+
+/**
+ * Copy a report with some request fields replaced
+ */
+function shrinkRequest(report, config, changes) {
+  if (!report.request) return { report, config };
+  
+  const request = { ...report.request };
+  Object.keys(changes).forEach(field => {
+    if (request[field] != null) request[field] = changes[field](request[field]);
+  });
+  return { report: { ...report, request }, config };
+}
+
+/**
+ * Render a report, shrinking it step by step until the output fits in `limit`.
+ * `fallback` makes the final cut if even the smallest report is too long.
+ */
+function shrinkToFit(report, config, render, limit, fallback) {
+  let current = { report, config };
+  let output = render(report, config);
+  
+  for (const step of shrinkSteps) {
+    if (output.length <= limit) return output;
+    current = step(current);
+    output = render(current.report, current.config);
+  }
+  return output.length <= limit ? output : fallback(output, limit, current);
+}
+
+/**
+ * Prefilled "new issue" URL for a report, shrunk to fit `maxUrlLength`.
+ * Needs no token: the person opening the link files the issue.
+ */
+function reportToGitHubIssueUrl(report, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const { repo, labels = [], baseUrl = 'https://github.com', maxUrlLength = 8000 } = options;
+  if (!/^[\w.-]+\/[\w.-]+$/.test(repo || '')) {
+    throw new TypeError('GitHub issue URLs need a repo like "owner/name"');
+  }
+  
+  const build = body => {
+    const query = [
+      `title=${encodeURIComponent(githubIssueTitle(report))}`,
+      `body=${encodeURIComponent(body)}`,
+      `labels=${encodeURIComponent([`severity:${report.severity}`, `error:${report.error.name}`, ...labels].join(','))}`
+    ];
+    return `${baseUrl.replace(/\/+$/, '')}/${repo}/issues/new?${query.join('&')}`;
+  };
+  
+  return shrinkToFit(report, config, (shrunk, shrunkConfig) => build(renderMarkdownReport(shrunk, shrunkConfig)), maxUrlLength, () => (
+    build(`${report.errorId ? `Error ID: ${report.errorId}\n\n` : ''}The full report was too long for a URL.`)
+  ));
+}
+
+/**
+ * The fence of the code block still open at the end of `markdown`, or null
+ */
+function openCodeFence(markdown) {
+  let open = null;
+  markdown.split('\n').forEach(line => {
+    const match = /^ {0,3}(`{3,}|~{3,})(.*)$/.exec(line);
+    if (!match) return;
+    if (!open) {
+      open = match[1];
+    } else if (match[1][0] === open[0] && match[1].length >= open.length && !match[2].trim()) {
+      open = null;
+    }
+  });
+  return open;
+}
+
+/**
+ * Cut Markdown to `limit` characters, closing a code block left open by the cut
+ */
+function truncateMarkdown(markdown, limit) {
+  const marker = '\n… [TRUNCATED]';
+  let text = markdown.slice(0, Math.max(limit - marker.length, 0));
+  const fence = openCodeFence(text);
+  if (fence) {
+    text = text.slice(0, Math.max(text.length - fence.length - 1, 0));
+    const stillOpen = openCodeFence(text);
+    if (stillOpen) text += `\n${stillOpen}`;
+  }
+  return `${text}${marker}`;
+}
+
+/**
+ * Render a report built by `buildErrorReport` as Markdown
+ */
+function reportToMarkdown(report, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  
+  if (config.maxLength) {
+    return shrinkToFit(report, config, renderMarkdownReport, config.maxLength, truncateMarkdown);
+  }
+  return renderMarkdownReport(report, config);
+}
+
+/**
+ * Render a report's Markdown sections with a resolved configuration
+ */
+function renderMarkdownReport(report, config) {
+  const theme = resolveTheme(config.theme);
+  const context = { theme, config, labels: { ...defaultLabels, ...theme.labels } };
+  
+  if (theme.template) {
+    return theme.template
+      .replace(/\{\{\s*([^}\s]+)\s*\}\}/g, (slot, name) => renderMarkdownSection(name, report, context))
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+  
+  return (theme.sections || defaultSections)
+    .map(name => renderMarkdownSection(name, report, context))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Main function to convert errors to markdown
+ */
+function errorToMarkdown(err, req = null, options = {}) {
+  return reportToMarkdown(buildErrorReport(err, req, options), options);
+}
+
+/**
+ * Slack Block Kit limits (characters)
+ */
+const slackLimits = {
+  blocks: 50,
+  headerText: 150,
+  sectionText: 3000,
+  fields: 10,
+  fieldText: 2000,
+  contextText: 2000,
+  fallbackText: 3000
+};
+
+/**
+ * Discord webhook embed limits (characters)
+ */
+const discordLimits = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footerText: 2048,
+  total: 6000
+};
+
+const severityColors = {
+  info: 0x3498db,
+  warning: 0xf1c40f,
+  error: 0xe74c3c,
+  critical: 0x8e44ad
+};
+
+/**
+ * Shorten text to `limit` characters, marking the cut with an ellipsis
+ */
+function truncateText(text, limit) {
+  const value = String(text);
+  if (value.length <= limit) return value;
+  return limit > 1 ? value.substring(0, limit - 1) + '…' : value.substring(0, limit);
+}
+
+/**
+ * Wrap lines in a code block that fits `limit`, dropping whole lines from the
+ * end and noting how many were cut
+ */
+function truncateCodeBlock(lines, limit, language = '') {
+  const open = '```' + language + '\n';
+  const close = '\n```';
+  // Chat platforms don't support longer fences, so break up backtick runs instead
+  const kept = lines.map(line => String(line).replace(/`{3,}/g, run => run.split('').join('\u200B')));
+  let dropped = 0;
+  const build = () => open + [...kept, ...(dropped ? [`… ${dropped} more line${dropped === 1 ? '' : 's'}`] : [])].join('\n') + close;
+  
+  while (kept.length > 1 && build().length > limit) {
+    kept.pop();
+    dropped++;
+  }
+  if (build().length <= limit) return build();
+  
+  // A single line that is still too long gets cut mid-line
+  const budget = Math.max(1, limit - open.length - close.length);
+  return open + truncateText(kept.join('\n'), budget) + close;
+}
+
+/**
+ * Inline code for chat platforms, which can't escape backticks inside code spans
+ */
+function chatInlineCode(value) {
+  return '`' + String(value).replace(/\r?\n|\r/g, ' ').replace(/`/g, 'ˋ') + '`';
+}
+
+/**
+ * Escape text for Slack mrkdwn
+ */
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Summary lines for the nested errors in a report
+ */
+function formatNestedSummary(report) {
+  return report.error.nested.map(entry => {
+    const indent = '  '.repeat(entry.depth - 1);
+    if (entry.omitted) return `${indent}… max depth ${entry.maxDepth} reached`;
+    return `${indent}${entry.label}: ${entry.name}: ${entry.message}${entry.circular ? ' (circular)' : ''}`;
+  });
+}
+
+/**
+ * Render a report as a Slack Block Kit message payload
+ */
+function reportToSlack(report, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const { error, request, environment } = report;
+  const blocks = [];
+  const section = (title, lines, language) => {
+    const heading = `*${escapeSlack(title)}*\n`;
+    return {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: heading + truncateCodeBlock(lines.map(escapeSlack), slackLimits.sectionText - heading.length, language)
+      }
+    };
+  };
+  const fieldsSection = fields => ({
+    type: 'section',
+    fields: fields.slice(0, slackLimits.fields).map(([label, value]) => ({
+      type: 'mrkdwn',
+      text: `*${label}:*\n${chatInlineCode(truncateText(escapeSlack(value), slackLimits.fieldText - label.length - 6))}`
+    }))
+  });
+  
+  blocks.push({
+    type: 'header',
+    text: { type: 'plain_text', text: truncateText(`🐛 ${error.name}: ${error.message.split('\n')[0]}`, slackLimits.headerText), emoji: true }
+  });
+  
+  const summary = [['Severity', report.severity.toUpperCase()]];
+  if (report.errorId) summary.push(['Error ID', report.errorId]);
+  if (error.code) summary.push(['Error Code', error.code]);
+  if (report.timestamp) summary.push(['Timestamp', report.timestamp]);
+  if (environment?.appVersion) summary.push(['App Version', environment.appVersion]);
+  blocks.push(fieldsSection(summary));
+  
+  blocks.push(section('Error Message', error.message.split('\n')));
+  blocks.push(section('Stack Trace', formatStackLines(error.stack, config)));
+  
+  if (report.sourceContext) {
+    const context = report.sourceContext;
+    blocks.push(section(
+      `Source Context: ${context.file}:${context.line}`,
+      context.lines.map(({ number, text, current }) => `${current ? '>' : ' '} ${number} | ${text}`)
+    ));
+  }
+  
+  if (error.nested.length > 0) {
+    blocks.push(section('Nested Errors', formatNestedSummary(report)));
+  }
+  
+  if (request) {
+    const requestFields = [['Method', request.method], ['URL', request.url], ['IP', request.ip]];
+    if (request.userAgent) requestFields.push(['User Agent', request.userAgent]);
+    blocks.push({ type: 'divider' });
+    blocks.push(fieldsSection(requestFields));
+    
+    [['Body', request.body], ['Query Parameters', request.query], ['Route Parameters', request.params], ['Headers', request.headers]]
+      .filter(([, value]) => value)
+      .forEach(([title, value]) => blocks.push(section(title, JSON.stringify(value, null, 2).split('\n'))));
+  }
+  
+  const footer = ['Generated by <https://github.com/imankii01/error-to-md|error-to-md>'];
+  if (environment) {
+    footer.push(`Node.js ${environment.nodeVersion}`, `${environment.platform} ${environment.arch}`, environment.nodeEnv);
+  }
+  const contextBlock = {
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: truncateText(footer.join(' • '), slackLimits.contextText) }]
+  };
+  
+  // Keep the footer even when the block limit is reached
+  return {
+    text: truncateText(`🐛 ${error.name}: ${error.message}`, slackLimits.fallbackText),
+    blocks: [...blocks.slice(0, slackLimits.blocks - 1), contextBlock]
+  };
+}
+
+/**
+ * Render a report as a Discord webhook payload with a single embed
+ */
+function reportToDiscord(report, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const { error, request, environment } = report;
+  
+  // Lower priority fields are dropped first when the embed is too large
+  const fields = [];
+  const addField = (name, value, { inline = false, priority = 0, code = false, language = '' } = {}) => {
+    const fieldValue = code
+      ? truncateCodeBlock(value, discordLimits.fieldValue, language)
+      : truncateText(value, discordLimits.fieldValue);
+    fields.push({ name: truncateText(name, discordLimits.fieldName), value: fieldValue, inline, priority });
+  };
+  
+  addField('Severity', formatSeverity(report.severity), { inline: true, priority: 10 });
+  if (report.errorId) addField('Error ID', chatInlineCode(report.errorId), { inline: true, priority: 10 });
+  if (error.code) addField('Error Code', chatInlineCode(error.code), { inline: true, priority: 9 });
+  addField('Stack Trace', formatStackLines(error.stack, config), { code: true, priority: 8 });
+  
+  if (report.sourceContext) {
+    const context = report.sourceContext;
+    addField(
+      `Source Context: ${context.file}:${context.line}`,
+      context.lines.map(({ number, text, current }) => `${current ? '>' : ' '} ${number} | ${text}`),
+      { code: true, language: context.language, priority: 5 }
+    );
+  }
+  
+  if (error.nested.length > 0) {
+    addField('Nested Errors', formatNestedSummary(report), { code: true, priority: 6 });
+  }
+  
+  if (request) {
+    addField('Request', chatInlineCode(truncateText(`${request.method} ${request.url}`, discordLimits.fieldValue - 2)), { priority: 7 });
+    addField('IP', chatInlineCode(request.ip), { inline: true, priority: 4 });
+    if (request.userAgent) addField('User Agent', chatInlineCode(truncateText(request.userAgent, discordLimits.fieldValue - 2)), { inline: true, priority: 2 });
+    if (request.body) addField('Body', JSON.stringify(request.body, null, 2).split('\n'), { code: true, language: 'json', priority: 3 });
+    if (request.query) addField('Query Parameters', JSON.stringify(request.query, null, 2).split('\n'), { code: true, language: 'json', priority: 2 });
+    if (request.params) addField('Route Parameters', JSON.stringify(request.params, null, 2).split('\n'), { code: true, language: 'json', priority: 2 });
+    if (request.headers) addField('Headers', JSON.stringify(request.headers, null, 2).split('\n'), { code: true, language: 'json', priority: 1 });
+  }
+  
+  if (environment) {
+    const appVersion = environment.appVersion ? ` • App ${environment.appVersion}` : '';
+    addField('Environment', `Node.js ${environment.nodeVersion} • ${environment.platform} ${environment.arch} • ${environment.nodeEnv}${appVersion}`, { priority: 4 });
+  }
+  
+  const embed = {
+    title: truncateText(`🐛 ${error.name}: ${error.message.split('\n')[0]}`, discordLimits.title),
+    description: truncateCodeBlock(error.message.split('\n'), discordLimits.description),
+    color: severityColors[report.severity] || severityColors.error,
+    fields: [],
+    footer: { text: 'Generated by error-to-md' }
+  };
+  if (report.timestamp) embed.timestamp = report.timestamp;
+  
+  const embedSize = () => embed.title.length + embed.description.length + embed.footer.text.length +
+    embed.fields.reduce((total, field) => total + field.name.length + field.value.length, 0);
+  
+  embed.fields = fields.slice(0, discordLimits.fields);
+  while (embedSize() > discordLimits.total && embed.fields.length > 0) {
+    const lowest = embed.fields.reduce((min, field) => (field.priority < min.priority ? field : min));
+    embed.fields = embed.fields.filter(field => field !== lowest);
+  }
+  if (embedSize() > discordLimits.total) {
+    embed.description = truncateCodeBlock(error.message.split('\n'), discordLimits.total - embedSize() + embed.description.length);
+  }
+  embed.fields = embed.fields.map(({ priority, ...field }) => field);
+  
+  return { embeds: [embed] };
+}
+
+/**
+ * Convert an error to a Slack Block Kit message payload
+ */
+function errorToSlack(err, req = null, options = {}) {
+  return reportToSlack(buildErrorReport(err, req, options), options);
+}
+
+/**
+ * Convert an error to a Discord webhook embed payload
+ */
+function errorToDiscord(err, req = null, options = {}) {
+  return reportToDiscord(buildErrorReport(err, req, options), options);
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const htmlStyles = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.5rem; border-bottom: 1px solid #d1d9e0; padding-bottom: .3rem; }
+  h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+  pre { background: #f6f8fa; border-radius: 6px; padding: .75rem 1rem; overflow-x: auto; font-size: .85rem; }
+  mark { background: #fff8c5; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: .25rem 1rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  details { margin: .5rem 0; }
+  summary { cursor: pointer; font-weight: 600; }
+  .severity { display: inline-block; padding: 0 .5rem; border-radius: 1rem; color: #fff; font-size: .85rem; }
+  .severity-info { background: #3498db; }
+  .severity-warning { background: #d4a72c; }
+  .severity-error { background: #e74c3c; }
+  .severity-critical { background: #8e44ad; }
+  footer { margin-top: 2rem; color: #59636e; font-size: .85rem; }
+`;
+
+/**
+ * Render a report as a self-contained HTML document
+ */
+function reportToHtml(report, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const { error, request, environment } = report;
+  const html = [];
+  const definitionList = entries => [
+    '<dl>',
+    ...entries.map(([term, value]) => `  <dt>${escapeHtml(term)}</dt><dd><code>${escapeHtml(value)}</code></dd>`),
+    '</dl>'
+  ];
+  const jsonBlock = (title, value) => [
+    `<details open><summary>${escapeHtml(title)}</summary>`,
+    `<pre><code>${escapeHtml(JSON.stringify(value, null, 2))}</code></pre>`,
+    '</details>'
+  ];
+  
+  html.push('<!DOCTYPE html>');
+  html.push('<html lang="en">');
+  html.push('<head>');
+  html.push('<meta charset="utf-8">');
+  html.push(`<title>${escapeHtml(`Bug Report: ${error.name}: ${error.message.split('\n')[0]}`)}</title>`);
+  html.push(`<style>${htmlStyles}</style>`);
+  html.push('</head>');
+  html.push('<body>');
+  html.push('<h1>🐛 Bug Report</h1>');
+  
+  const summary = [];
+  if (report.errorId) summary.push(['Error ID', report.errorId]);
+  if (report.timestamp) summary.push(['Timestamp', report.timestamp]);
+  if (error.name !== 'Error') summary.push(['Error Type', error.name]);
+  if (error.code) summary.push(['Error Code', error.code]);
+  html.push(`<p><span class="severity severity-${escapeHtml(report.severity)}">${escapeHtml(report.severity.toUpperCase())}</span></p>`);
+  html.push(...definitionList(summary));
+  
+  html.push('<h2>Error Message</h2>');
+  html.push(`<pre><code>${escapeHtml(error.message)}</code></pre>`);
+  
+  html.push('<h2>Stack Trace</h2>');
+  html.push(`<pre><code>${escapeHtml(formatStackLines(error.stack, config).join('\n'))}</code></pre>`);
+  
+  if (report.sourceContext) {
+    const context = report.sourceContext;
+    const width = String(context.lines[context.lines.length - 1].number).length;
+    html.push(`<h2>Source Context: <code>${escapeHtml(`${context.file}:${context.line}`)}</code></h2>`);
+    html.push(`<pre><code class="language-${escapeHtml(context.language)}">${context.lines.map(({ number, text, current }) => {
+      const line = escapeHtml(`${String(number).padStart(width)} | ${text}`);
+      return current ? `<mark>${line}</mark>` : line;
+    }).join('\n')}</code></pre>`);
+  }
+  
+  if (error.nested.length > 0) {
+    html.push('<h2>Nested Errors</h2>');
+    error.nested.forEach(entry => {
+      const indent = `style="margin-left: ${(entry.depth - 1) * 1.5}rem"`;
+      if (entry.omitted) {
+        html.push(`<p ${indent}><em>Further nested errors omitted (max depth ${escapeHtml(entry.maxDepth)} reached)</em></p>`);
+      } else if (entry.circular) {
+        html.push(`<p ${indent}><strong>${escapeHtml(entry.label)}:</strong> <code>${escapeHtml(`${entry.name}: ${entry.message}`)}</code> <em>(circular reference, already shown)</em></p>`);
+      } else {
+        html.push(`<details ${indent}><summary>${escapeHtml(`${entry.label}: ${entry.name}: ${entry.message}`)}</summary>`);
+        if (entry.code) html.push(...definitionList([['Error Code', entry.code]]));
+        if (entry.stack) {
+          const stackLines = entry.stack.split('\n');
+          const shown = stackLines.slice(0, config.maxCauseStackLines);
+          if (stackLines.length > config.maxCauseStackLines) shown.push('... [TRUNCATED]');
+          html.push(`<pre><code>${escapeHtml(shown.join('\n'))}</code></pre>`);
+        }
+        html.push('</details>');
+      }
+    });
+  }
+  
+  if (request) {
+    html.push('<h2>Request Details</h2>');
+    const requestSummary = [['Method', request.method], ['URL', request.url], ['IP', request.ip]];
+    if (request.userAgent) requestSummary.push(['User Agent', request.userAgent]);
+    html.push(...definitionList(requestSummary));
+    if (request.body) html.push(...jsonBlock('Body', request.body));
+    if (request.query) html.push(...jsonBlock('Query Parameters', request.query));
+    if (request.params) html.push(...jsonBlock('Route Parameters', request.params));
+    if (request.headers) html.push(...jsonBlock('Headers', request.headers));
+  }
+  
+  if (environment) {
+    const entries = [
+      ['Node.js Version', environment.nodeVersion],
+      ['Platform', `${environment.platform} ${environment.arch}`],
+      ['Environment', environment.nodeEnv]
+    ];
+    if (environment.appVersion) entries.push(['App Version', environment.appVersion]);
+    if (report.performance) {
+      const perf = report.performance;
+      entries.push(['Memory Usage', `RSS: ${perf.memory.rss}, Heap: ${perf.memory.heapUsed}/${perf.memory.heapTotal}`]);
+      entries.push(['CPU Usage', `User: ${perf.cpu.user}, System: ${perf.cpu.system}`]);
+      entries.push(['Process Uptime', perf.uptime]);
+    }
+    html.push('<details><summary>Environment</summary>');
+    html.push(...definitionList(entries));
+    html.push('</details>');
+  }
+  
+  const timing = report.generationTimeMs !== null ? ` in ${report.generationTimeMs.toFixed(2)}ms` : '';
+  html.push(`<footer>Generated by <a href="https://github.com/imankii01/error-to-md">error-to-md</a>${timing} 🚀</footer>`);
+  html.push('</body>');
+  html.push('</html>');
+  
+  return html.join('\n');
+}
+
+const ansiStyles = {
+  bold: ['\x1b[1m', '\x1b[22m'],
+  dim: ['\x1b[2m', '\x1b[22m'],
+  red: ['\x1b[31m', '\x1b[39m'],
+  yellow: ['\x1b[33m', '\x1b[39m'],
+  cyan: ['\x1b[36m', '\x1b[39m'],
+  magenta: ['\x1b[35m', '\x1b[39m']
+};
+
+const severityStyles = {
+  info: 'cyan',
+  warning: 'yellow',
+  error: 'red',
+  critical: 'magenta'
+};
+
+/**
+ * Remove ANSI escape sequences and control characters from untrusted text
+ * so it can't rewrite or recolor the terminal
+ */
+function sanitizeTerminalText(text) {
+  return String(text)
+    .replace(/\x1b\[[0-9;?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-_]/g, '')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f-\x9f]/g, '');
+}
+
+/**
+ * Render a report as plain text, with ANSI colors when enabled
+ * (`colors: 'auto'` colors only when stdout is a TTY and NO_COLOR is unset)
+ */
+function reportToText(report, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const { error, request, environment } = report;
+  const useColors = config.colors === 'auto'
+    ? Boolean(process.stdout.isTTY) && !('NO_COLOR' in process.env)
+    : Boolean(config.colors);
+  const paint = (text, ...styles) => (useColors
+    ? styles.reduce((result, style) => ansiStyles[style][0] + result + ansiStyles[style][1], text)
+    : text);
+  const clean = sanitizeTerminalText;
+  const indent = (text, prefix = '  ') => clean(text).split('\n').map(line => prefix + line).join('\n');
+  const heading = title => paint(title, 'bold', 'cyan');
+  const lines = [];
+  const field = (label, value) => lines.push(`  ${paint(`${label}:`, 'bold')} ${clean(value)}`);
+  
+  lines.push(paint('BUG REPORT', 'bold'));
+  if (report.errorId) field('Error ID', report.errorId);
+  if (report.timestamp) field('Timestamp', report.timestamp);
+  lines.push(`  ${paint('Severity:', 'bold')} ${paint(report.severity.toUpperCase(), 'bold', severityStyles[report.severity] || 'red')}`);
+  if (error.name !== 'Error') field('Error Type', error.name);
+  if (error.code) field('Error Code', error.code);
+  lines.push('');
+  
+  lines.push(heading('Error Message'));
+  lines.push(paint(indent(error.message), 'red'));
+  lines.push('');
+  
+  lines.push(heading('Stack Trace'));
+  formatStackLines(error.stack, config).forEach(line => {
+    const frame = parseStackFrame(line);
+    const text = indent(line);
+    lines.push(frame && !frame.inApp ? paint(text, 'dim') : text);
+  });
+  lines.push('');
+  
+  if (report.sourceContext) {
+    const context = report.sourceContext;
+    const width = String(context.lines[context.lines.length - 1].number).length;
+    lines.push(heading(`Source Context: ${clean(context.file)}:${context.line}`));
+    context.lines.forEach(({ number, text, current }) => {
+      const line = `${current ? '>' : ' '} ${String(number).padStart(width)} | ${clean(text)}`;
+      lines.push(current ? paint(`  ${line}`, 'bold', 'red') : paint(`  ${line}`, 'dim'));
+    });
+    lines.push('');
+  }
+  
+  if (error.nested.length > 0) {
+    lines.push(heading('Nested Errors'));
+    formatNestedSummary(report).forEach(line => lines.push(indent(line)));
+    lines.push('');
+  }
+  
+  if (request) {
+    lines.push(heading('Request Details'));
+    field('Method', request.method);
+    field('URL', request.url);
+    field('IP', request.ip);
+    if (request.userAgent) field('User Agent', request.userAgent);
+    [['Body', request.body], ['Query Parameters', request.query], ['Route Parameters', request.params], ['Headers', request.headers]]
+      .filter(([, value]) => value)
+      .forEach(([title, value]) => {
+        lines.push(`  ${paint(`${title}:`, 'bold')}`);
+        lines.push(indent(JSON.stringify(value, null, 2), '    '));
+      });
+    lines.push('');
+  }
+  
+  if (environment) {
+    lines.push(heading('Environment'));
+    field('Node.js Version', environment.nodeVersion);
+    field('Platform', `${environment.platform} ${environment.arch}`);
+    field('Environment', environment.nodeEnv);
+    if (environment.appVersion) field('App Version', environment.appVersion);
+    if (report.performance) {
+      const perf = report.performance;
+      field('Memory Usage', `RSS: ${perf.memory.rss}, Heap: ${perf.memory.heapUsed}/${perf.memory.heapTotal}`);
+      field('CPU Usage', `User: ${perf.cpu.user}, System: ${perf.cpu.system}`);
+      field('Process Uptime', perf.uptime);
+    }
+    lines.push('');
+  }
+  
+  if (report.generationTimeMs !== null) {
+    lines.push(paint(`Report generated in ${report.generationTimeMs.toFixed(2)}ms by error-to-md`, 'dim'));
+  } else {
+    lines.push(paint('Generated by error-to-md', 'dim'));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Convert an error to a self-contained HTML document
+ */
+function errorToHtml(err, req = null, options = {}) {
+  return reportToHtml(buildErrorReport(err, req, options), options);
+}
+
+/**
+ * Convert an error to plain text (ANSI-colored for TTYs by default)
+ */
+function errorToText(err, req = null, options = {}) {
+  return reportToText(buildErrorReport(err, req, options), options);
+}
+
+/**
+ * In-memory store for middleware dedupe and rate-limit counters.
+ * Custom stores implement the same two methods and may return promises.
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  
+  return {
+    // Count a hit in the key's current window, starting a new window once it expires.
+    // The ended window is kept until its summary takes it, which may happen after the rollover.
+    increment(key, windowMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs, previous: entry ? { count: entry.count, resetAt: entry.resetAt } : null };
+        entries.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    // Remove the key's window ending at `resetAt` and return its final count
+    take(key, resetAt) {
+      const entry = entries.get(key);
+      if (!entry) return 0;
+      if (resetAt === undefined || entry.resetAt === resetAt) {
+        entries.delete(key);
+        return entry.count;
+      }
+      if (entry.previous && entry.previous.resetAt === resetAt) {
+        const { count } = entry.previous;
+        entry.previous = null;
+        return count;
+      }
+      return 0;
+    }
+  };
+}
+
+/**
+ * Run `fn` on a value that may or may not be a promise, staying synchronous when it isn't
+ */
+function whenResolved(value, fn) {
+  return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
+
+/**
+ * Human-readable window length for summaries, e.g. `5 minutes`
+ */
+function formatWindow(ms) {
+  const [unit, size] = ms >= 3600000 ? ['hour', 3600000] : ms >= 60000 ? ['minute', 60000] : ['second', 1000];
+  const amount = Math.max(1, Math.round(ms / size));
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+/**
+ * Decide whether the middleware should log a report: one per error ID per
+ * dedupe window, and at most `maxReportsPerMinute` overall. Suppressed
+ * reports are summarized through `onSummary` when their window ends.
+ */
+function createReportThrottle(config) {
+  const dedupe = config.dedupe === true ? {} : config.dedupe;
+  const perMinute = config.maxReportsPerMinute;
+  if (!dedupe && !perMinute) return null;
+  
+  const windowMs = (dedupe && dedupe.windowMs) || 5 * 60 * 1000;
+  const store = config.store || createMemoryStore();
+  const summarize = typeof config.onSummary === 'function'
+    ? config.onSummary
+    : summary => withoutBreadcrumbs(() => console.error(`\n${summary.text}\n`));
+  // Summaries are best effort: a failing store must not crash the process from a timer
+  const later = (resetAt, fn) => {
+    const timer = setTimeout(() => {
+      try {
+        const result = fn();
+        if (result && typeof result.catch === 'function') result.catch(() => {});
+      } catch {
+        // Ignored, see above
+      }
+    }, Math.max(resetAt - Date.now(), 0));
+    if (timer.unref) timer.unref();
+  };
+  
+  const checkRate = () => {
+    if (!perMinute) return true;
+    return whenResolved(store.increment('rate', 60000), ({ count, resetAt }) => {
+      // The first dropped report schedules the summary for the whole minute
+      if (count === perMinute + 1) {
+        later(resetAt, () => whenResolved(store.take('rate', resetAt), total => {
+          const dropped = total - perMinute;
+          if (dropped > 0) {
+            summarize({
+              type: 'rate-limit',
+              count: dropped,
+              windowMs: 60000,
+              text: `⏱️ ${dropped} more error report${dropped === 1 ? ' was' : 's were'} dropped by the limit of ${perMinute} per minute`
+            });
+          }
+        }));
+      }
+      return count <= perMinute;
+    });
+  };
+  
+  return {
+    shouldReport(report) {
+      if (!dedupe) return checkRate();
+      
+      const key = `dedupe:${report.fingerprint || report.errorId || `${report.error.name}: ${report.error.message}`}`;
+      return whenResolved(store.increment(key, windowMs), ({ count, resetAt }) => {
+        if (count > 1) return false;
+        
+        return whenResolved(checkRate(), reported => {
+          later(resetAt, () => whenResolved(store.take(key, resetAt), total => {
+            const repeats = reported ? total - 1 : total;
+            if (repeats > 0) {
+              const id = report.errorId || report.error.name;
+              summarize({
+                type: 'dedupe',
+                errorId: report.errorId,
+                fingerprint: report.fingerprint,
+                message: report.error.message,
+                count: repeats,
+                windowMs,
+                text: `🔁 ${id} occurred ${repeats} ${reported ? 'more ' : ''}time${repeats === 1 ? '' : 's'} in the last ${formatWindow(windowMs)}`
+              });
+            }
+          }));
+          return reported;
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Minimal HTTP(S) request with a timeout, resolving with status, headers and text body
+ */
+function httpRequest(url, { method = 'GET', headers = {}, body = null, timeoutMs = 10000 } = {}) {
+  return new Promise((resolvePromise, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    // Transport traffic isn't part of the application's timeline
+    const request = withoutBreadcrumbs(() => client.request(target, { method, headers }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolvePromise({
+        status: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      }));
+      response.on('error', reject);
+    }));
+    request.setTimeout(timeoutMs, () => request.destroy(new Error(`Request to ${target.host} timed out after ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Whether a transport's `minSeverity` lets a report through
+ */
+function passesSeverity(transport, severity) {
+  if (!transport.minSeverity) return true;
+  return severityLevels.indexOf(severity) >= severityLevels.indexOf(transport.minSeverity);
+}
+
+/**
+ * Transport writing one Markdown file per error ID. The newest `maxFiles`
+ * reports are kept and anything older than `maxAgeDays` is removed.
+ */
+function fileTransport(options = {}) {
+  const { dir = 'error-reports', maxFiles = 1000, maxAgeDays = 30, minSeverity = null } = options;
+  
+  const prune = async () => {
+    const names = (await readdir(dir)).filter(name => name.endsWith('.md'));
+    const files = await Promise.all(names.map(async name => {
+      const path = join(dir, name);
+      return { path, mtime: (await stat(path)).mtimeMs };
+    }));
+    files.sort((a, b) => b.mtime - a.mtime);
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = files.filter((file, index) => index >= maxFiles || (maxAgeDays > 0 && file.mtime < cutoff));
+    await Promise.all(expired.map(file => unlink(file.path).catch(() => {})));
+  };
+  
+  return {
+    name: 'file',
+    minSeverity,
+    async send(report, { markdown }) {
+      const id = report.errorId || `ERR-${report.timestamp || new Date().toISOString()}`;
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, `${id.replace(/[^\w.-]/g, '_')}.md`), markdown);
+      await prune();
+    }
+  };
+}
+
+/**
+ * Transport POSTing reports to a webhook, retrying network errors, timeouts,
+ * 429 and 5xx responses with exponential backoff
+ */
+function webhookTransport(options = {}) {
+  const {
+    url,
+    format = 'json', // json, markdown, slack, discord
+    headers = {},
+    body = null, // (report, context) => payload, overrides format
+    timeoutMs = 5000,
+    retries = 3,
+    retryDelayMs = 500,
+    minSeverity = null
+  } = options;
+  if (!url) throw new TypeError('webhookTransport requires a url');
+  
+  const payloads = {
+    json: report => report,
+    markdown: (report, { markdown }) => ({ text: markdown }),
+    slack: (report, { options: config }) => reportToSlack(report, config),
+    discord: (report, { options: config }) => reportToDiscord(report, config)
+  };
+  if (!body && !payloads[format]) {
+    throw new TypeError(`Unknown webhook format "${format}". Expected one of: ${Object.keys(payloads).join(', ')}`);
+  }
+  
+  return {
+    name: 'webhook',
+    minSeverity,
+    async send(report, context) {
+      const payload = JSON.stringify((body || payloads[format])(report, context));
+      const requestOptions = {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload), ...headers },
+        body: payload,
+        timeoutMs
+      };
+      
+      for (let attempt = 0; ; attempt++) {
+        let failure;
+        let retryable = true;
+        try {
+          const response = await httpRequest(url, requestOptions);
+          if (response.status < 400) return;
+          failure = new Error(`Webhook responded with HTTP ${response.status}`);
+          retryable = response.status === 429 || response.status >= 500;
+        } catch (err) {
+          // Network errors and timeouts
+          failure = err;
+        }
+        if (!retryable || attempt >= retries) throw failure;
+        await new Promise(done => setTimeout(done, retryDelayMs * 2 ** attempt));
+      }
+    }
+  };
+}
+
+/**
+ * Transport writing each report as one JSON line, for log shippers
+ */
+function stdoutTransport(options = {}) {
+  const { stream = process.stdout, minSeverity = null } = options;
+  
+  return {
+    name: 'stdout',
+    minSeverity,
+    send(report) {
+      stream.write(JSON.stringify(report) + '\n');
+    }
+  };
+}
+
+/**
+ * Call the GitHub REST API, throwing with GitHub's message on non-2xx responses
+ */
+async function githubRequest(options, method, path, body = null) {
+  const { token, apiUrl = 'https://api.github.com', timeoutMs = 10000 } = options;
+  const payload = body ? JSON.stringify(body) : null;
+  
+  const response = await httpRequest(`${apiUrl.replace(/\/+$/, '')}${path}`, {
+    method,
+    headers: {
+      accept: 'application/vnd.github+json',
+      'user-agent': 'error-to-md',
+      'x-github-api-version': '2022-11-28',
+      ...(token && { authorization: `Bearer ${token}` }),
+      ...(payload && { 'content-type': 'application/json', 'content-length': Buffer.byteLength(payload) })
+    },
+    body: payload,
+    timeoutMs
+  });
+  
+  let data = null;
+  try {
+    data = response.body ? JSON.parse(response.body) : null;
+  } catch {
+    // Leave non-JSON bodies out of the error message
+  }
+  if (response.status >= 400) {
+    throw new Error(`GitHub API ${method} ${path.split('?')[0]} failed with HTTP ${response.status}${data && data.message ? `: ${data.message}` : ''}`);
+  }
+  return data;
+}
+
+/**
+ * Issue title for a report, within GitHub's 256-character limit
+ */
+function githubIssueTitle(report) {
+  const title = `${report.errorId ? `[${report.errorId}] ` : ''}${report.error.name}: ${report.error.message}`.replace(/\s+/g, ' ');
+  return title.length > 256 ? `${title.slice(0, 255)}…` : title;
+}
+
+/**
+ * Short occurrence update posted on an existing issue
+ */
+function githubOccurrenceComment(report) {
+  const lines = [`🔁 **Occurred again**${report.timestamp ? ` at ${inlineCode(report.timestamp)}` : ''}`, ''];
+  lines.push(`- **Severity:** ${formatSeverity(report.severity)}`);
+  lines.push(`- **Message:** ${inlineCode(report.error.message)}`);
+  if (report.request) {
+    lines.push(`- **Request:** ${inlineCode(`${report.request.method || ''} ${report.request.url || ''}`.trim())}`);
+  }
+  if (report.environment && report.environment.appVersion) {
+    lines.push(`- **App Version:** ${inlineCode(report.environment.appVersion)}`);
+  }
+  if (report.environment) {
+    lines.push(`- **Node.js:** ${inlineCode(report.environment.nodeVersion)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Longest issue body the GitHub API accepts
+ */
+const GITHUB_BODY_LIMIT = 65536;
+
+/**
+ * Comment on the open issue already tracking a report's error ID, or create
+ * a new one labelled with the severity and error type
+ */
+async function reportToGitHubIssue(report, options = {}) {
+  const { repo, labels = [], markdown = null } = options;
+  if (!options.token || !/^[\w.-]+\/[\w.-]+$/.test(repo || '')) {
+    throw new TypeError('GitHub issues need a token and a repo like "owner/name"');
+  }
+  
+  const key = report.errorId || report.fingerprint;
+  if (key) {
+    const query = `repo:${repo} is:issue is:open in:title,body "${key}"`;
+    const results = await githubRequest(options, 'GET', `/search/issues?q=${encodeURIComponent(query)}&per_page=10`);
+    // Search is fuzzy, so only trust issues that really contain the key
+    const existing = (results && results.items || []).find(issue => (
+      `${issue.title}\n${issue.body || ''}`.includes(key)
+    ));
+    
+    if (existing) {
+      await githubRequest(options, 'POST', `/repos/${repo}/issues/${existing.number}/comments`, {
+        body: githubOccurrenceComment(report)
+      });
+      return { action: 'commented', number: existing.number, url: existing.html_url };
+    }
+  }
+  
+  const issue = await githubRequest(options, 'POST', `/repos/${repo}/issues`, {
+    title: githubIssueTitle(report),
+    body: markdown || reportToMarkdown(report, { ...options, maxLength: Math.min(options.maxLength || GITHUB_BODY_LIMIT, GITHUB_BODY_LIMIT) }),
+    labels: [`severity:${report.severity}`, `error:${report.error.name}`, ...labels]
+  });
+  return { action: 'created', number: issue.number, url: issue.html_url };
+}
+
+/**
+ * Transport creating or updating GitHub issues. Reports with the same error ID
+ * are handled one at a time so concurrent failures don't open duplicate issues.
+ */
+function githubTransport(options = {}) {
+  const inflight = new Map();
+  
+  return {
+    name: 'github',
+    minSeverity: options.minSeverity || null,
+    send(report, context = {}) {
+      const key = report.errorId || report.fingerprint || '';
+      // Reuse the caller's rendering (theme, maxLength); re-render with its config only when it's too long for GitHub
+      const config = context.options ? { ...context.options, ...options } : options;
+      const markdown = context.markdown && context.markdown.length <= GITHUB_BODY_LIMIT ? context.markdown : null;
+      const previous = inflight.get(key) || Promise.resolve();
+      const current = previous.catch(() => {}).then(() => reportToGitHubIssue(report, { ...config, markdown }));
+      inflight.set(key, current);
+      const cleanup = () => {
+        if (inflight.get(key) === current) inflight.delete(key);
+      };
+      current.then(cleanup, cleanup);
+      return current;
+    }
+  };
+}
+
+/**
+ * Send reports to every transport whose severity filter matches. Failures go to
+ * `onTransportError` and never reach the caller; `flush` waits for pending sends.
+ */
+function createTransportDispatcher(config) {
+  const transports = [...(config.transports || []), ...(config.github ? [githubTransport(config.github)] : [])];
+  const pending = new Set();
+  const onError = typeof config.onTransportError === 'function'
+    ? config.onTransportError
+    : (err, transport) => console.warn(`⚠️ error-to-md: ${transport.name || 'custom'} transport failed: ${err && err.message}`);
+  const fail = (err, transport) => {
+    try {
+      onError(err, transport);
+    } catch {
+      // The error handler itself must not break the response path
+    }
+  };
+  
+  return {
+    dispatch(report, context) {
+      transports.filter(transport => passesSeverity(transport, report.severity)).forEach(transport => {
+        try {
+          const result = transport.send(report, context);
+          if (result && typeof result.then === 'function') {
+            const tracked = Promise.resolve(result)
+              .catch(err => fail(err, transport))
+              .then(() => pending.delete(tracked));
+            pending.add(tracked);
+          }
+        } catch (err) {
+          fail(err, transport);
+        }
+      });
+    },
+    // Resolves once pending sends settle, or after `timeoutMs`, whichever is first
+    flush(timeoutMs = 5000) {
+      if (pending.size === 0) return Promise.resolve();
+      return new Promise(done => {
+        const timer = setTimeout(done, timeoutMs);
+        if (timer.unref) timer.unref();
+        Promise.all(pending).then(() => {
+          clearTimeout(timer);
+          done();
+        });
+      });
+    }
+  };
+}
+
+const responseTypes = ['application/problem+json', 'application/json', 'text/markdown', 'text/html', 'text/plain'];
+
+/**
+ * Pick the response type from an `Accept` header: highest q-value wins, then
+ * the more specific range, then our own order. Unacceptable → problem+json.
+ */
+function negotiateResponseType(accept) {
+  const ranges = String(accept || '*/*').split(',').map((part, index) => {
+    const [range, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    return { range: range.trim(), q: Number.isNaN(q) ? 0 : q, index };
+  }).filter(({ range }) => range);
+  
+  let best = null;
+  responseTypes.forEach((type, order) => {
+    const [major] = type.split('/');
+    const matches = ranges
+      .map(entry => ({
+        ...entry,
+        specificity: entry.range === type ? 2 : entry.range === `${major}/*` ? 1 : entry.range === '*/*' ? 0 : -1
+      }))
+      .filter(entry => entry.specificity >= 0)
+      .sort((a, b) => b.specificity - a.specificity);
+    // The most specific matching range decides the q-value
+    const match = matches[0];
+    if (!match || match.q <= 0) return;
+    
+    const candidate = { type, q: match.q, specificity: match.specificity, order };
+    if (!best || candidate.q > best.q || (candidate.q === best.q && candidate.specificity > best.specificity)) {
+      best = candidate;
+    }
+  });
+  
+  return best ? best.type : responseTypes[0];
+}
+
+/**
+ * HTTP status for an error: `status`, `statusCode` or Boom's `output.statusCode`,
+ * when it is a valid error status (400-599), otherwise 500
+ */
+function errorStatusCode(err) {
+  const status = Number((err && (err.status || err.statusCode || (err.output && err.output.statusCode))) || 500);
+  return Number.isInteger(status) && status >= 400 && status <= 599 ? status : 500;
+}
+
+/**
+ * Whether error details may go to the client. The `expose` option (default:
+ * NODE_ENV is development) covers the full report; a 4xx error's own boolean
+ * `expose` (as set by http-errors) decides about its message.
+ */
+function exposure(err, statusCode, config) {
+  const full = config.expose === null || config.expose === undefined
+    ? process.env.NODE_ENV === 'development'
+    : Boolean(config.expose);
+  const message = statusCode < 500 && err && typeof err.expose === 'boolean' ? err.expose : full;
+  return { full, message };
+}
+
+/**
+ * RFC 9457 problem details for an error, with the error ID as `instance`
+ */
+function buildProblemDetails(err, report, statusCode, exposed, config) {
+  const issueRepo = config.issueRepo || (config.github && config.github.repo);
   
-  const hash = createHash('md5').update(JSON.stringify(errorData)).digest('hex');
-  return `ERR-${hash.substring(0, 8).toUpperCase()}`;
+  return {
+    type: 'about:blank',
+    title: http.STATUS_CODES[statusCode] || 'Unknown Error',
+    status: statusCode,
+    ...(exposed.message && err && err.message && { detail: report.error.message }),
+    ...(report.errorId && { instance: `urn:error-id:${report.errorId}`, errorId: report.errorId }),
+    ...(exposed.full && issueRepo && { issueUrl: reportToGitHubIssueUrl(report, { ...config, repo: issueRepo }) })
+  };
 }
 
 /**
- * Clean and redact sensitive information from objects
+ * Problem details as a short document, for clients that don't get the full report
  */
-function cleanObject(obj, redactKeys = [], maxSize = 1000) {
-  if (!obj || typeof obj !== 'object') return obj;
+function renderProblem(problem, type) {
+  const heading = `${problem.status} ${problem.title}`;
   
-  const cleaned = JSON.parse(JSON.stringify(obj, (key, value) => {
-    // Redact sensitive keys
-    if (redactKeys.some(redactKey => 
-      key.toLowerCase().includes(redactKey.toLowerCase())
-    )) {
-      return '[REDACTED]';
-    }
-    return value;
-  }));
+  if (type === 'text/html') {
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(heading)}</title>`,
+      `<style>${htmlStyles}</style>`,
+      '</head>',
+      '<body>',
+      `<h1>${escapeHtml(heading)}</h1>`,
+      ...(problem.detail ? [`<p>${escapeHtml(problem.detail)}</p>`] : []),
+      ...(problem.errorId ? [`<p>Error ID: <code>${escapeHtml(problem.errorId)}</code></p>`] : []),
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
   
-  const jsonString = JSON.stringify(cleaned, null, 2);
-  if (jsonString.length > maxSize) {
-    return JSON.stringify(cleaned).substring(0, maxSize) + '... [TRUNCATED]';
+  if (type === 'text/markdown') {
+    return [
+      `# ${escapeMarkdownHtml(heading)}`,
+      ...(problem.detail ? ['', escapeMarkdownHtml(problem.detail)] : []),
+      ...(problem.errorId ? ['', `**Error ID:** ${inlineCode(problem.errorId)}`] : [])
+    ].join('\n');
   }
   
-  return cleaned;
+  return [
+    heading,
+    ...(problem.detail ? [problem.detail] : []),
+    ...(problem.errorId ? [`Error ID: ${problem.errorId}`] : [])
+  ].join('\n');
 }
 
+// Reports attached to errors by asyncErrorToMd or a framework adapter, per request
+// and then per error: one error object can reach several requests (a shared constant,
+// a memoized rejection). WeakMaps cover frozen errors and never outlive the request.
+const annotations = new WeakMap();
+const noRequest = {};
+
 /**
- * Get system performance metrics
+ * The annotation `annotateError` left on an error for this request, or null
  */
-function getPerformanceMetrics() {
-  const memUsage = process.memoryUsage();
-  const cpuUsage = process.cpuUsage();
-  const uptime = process.uptime();
+function getAnnotation(err, req) {
+  if (err === null || typeof err !== 'object') return null;
+  const byError = annotations.get(req && typeof req === 'object' ? req : noRequest);
+  return (byError && byError.get(err)) || null;
+}
+
+/**
+ * Attach a report to an error so downstream handlers keep its error ID and don't
+ * log it again. Also sets `err.errorReport`, `err.errorId` and `req.errorId`.
+ */
+function annotateError(err, req, report) {
+  const annotation = { report, logged: false };
+  if (err === null || typeof err !== 'object') return annotation;
   
-  return {
-    memory: {
-      rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
-      heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
-      heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`,
-      external: `${Math.round(memUsage.external / 1024 / 1024)}MB`
-    },
-    cpu: {
-      user: `${Math.round(cpuUsage.user / 1000)}ms`,
-      system: `${Math.round(cpuUsage.system / 1000)}ms`
-    },
-    uptime: `${Math.round(uptime)}s`
-  };
+  const requestKey = req && typeof req === 'object' ? req : noRequest;
+  if (!annotations.has(requestKey)) annotations.set(requestKey, new WeakMap());
+  annotations.get(requestKey).set(err, annotation);
+  if (Object.isExtensible(err)) {
+    const hidden = value => ({ value, configurable: true, writable: true, enumerable: false });
+    Object.defineProperty(err, 'errorReport', hidden(report));
+    if (report.errorId) Object.defineProperty(err, 'errorId', hidden(report.errorId));
+  }
+  if (req && typeof req === 'object' && report.errorId) {
+    req.errorId = report.errorId;
+  }
+  return annotation;
 }
 
 /**
- * Format error severity with appropriate emoji
+ * Put the incoming request first in a report's breadcrumbs, with its start time
+ * and duration until the error when they are known
  */
-function formatSeverity(severity) {
-  const severityMap = {
-    info: '💡 INFO',
-    warning: '⚠️ WARNING',
-    error: '❌ ERROR',
-    critical: '🚨 CRITICAL'
+function withRequestBreadcrumb(report, req, config) {
+  if (!config.includeBreadcrumbs || !report.request || !req || typeof req !== 'object') return report;
+  
+  const { method, url, startedAt, durationMs } = report.request;
+  const breadcrumb = {
+    timestamp: startedAt || new Date().toISOString(),
+    category: 'request',
+    level: 'info',
+    message: [method, url].filter(Boolean).join(' '),
+    ...(durationMs !== null && durationMs !== undefined && { data: { durationMs } })
   };
-  return severityMap[severity] || severityMap.error;
+  return { ...report, breadcrumbs: [breadcrumb, ...(report.breadcrumbs || [])] };
 }
 
 /**
- * Main function to convert errors to markdown
+ * Report the status the error response is about to get, unless the handler had
+ * already sent its headers (then the status it sent is final)
  */
-function errorToMarkdown(err, req = null, options = {}) {
+function withResponseStatus(report, err) {
+  const response = report.request && report.request.response;
+  if (!response || response.headersSent) return report;
+  return { ...report, request: { ...report.request, response: { ...response, statusCode: errorStatusCode(err) } } };
+}
+
+/**
+ * Shared core of the framework adapters: reports an error (with dedupe,
+ * rate limiting, logging and transports) and describes the HTTP response
+ */
+function createErrorReporter(options = {}) {
   const config = { ...defaultOptions, ...options };
-  const theme = themes[config.theme] || themes.github;
-  const startTime = performance.now();
   
-  const errorId = config.generateErrorId ? generateErrorId(err, req) : null;
-  const timestamp = config.includeTimestamp ? new Date().toISOString() : null;
-  
-  const md = [];
+  // Fail at startup rather than while handling an error
+  validateTheme(config.theme);
+  if (resolveDiagnostics(config.diagnostics).includes('eventLoop')) startEventLoopMonitor();
+  const throttle = createReportThrottle(config);
+  const transports = createTransportDispatcher(config);
   
-  // Title and Error ID
-  md.push(theme.title);
-  if (errorId) md.push(`**Error ID:** \`${errorId}\``);
-  if (timestamp) md.push(`**Timestamp:** \`${timestamp}\``);
-  md.push('');
+  return {
+    config,
+    flush: timeoutMs => transports.flush(timeoutMs),
+    
+    report(err, req) {
+      // Always built with this reporter's options (redaction, fingerprint, ...); an upstream
+      // asyncErrorToMd only contributes its error ID and whether it logged already
+      const upstream = getAnnotation(err, req);
+      let built = withRequestBreadcrumb(buildErrorReport(err, req, config), req, config);
+      if (upstream && upstream.report.errorId) built = { ...built, errorId: upstream.report.errorId };
+      const report = withResponseStatus(built, err);
+      const annotation = annotateError(err, req, report);
+      annotation.logged = Boolean(upstream && upstream.logged);
+      let markdown = null;
+      
+      const emit = () => {
+        markdown = markdown || reportToMarkdown(report, config);
+        
+        // An upstream asyncErrorToMd may have logged this report already
+        if (!annotation.logged) {
+          annotation.logged = true;
+          
+          // Log to console
+          if (config.logToConsole) {
+            withoutBreadcrumbs(() => console.error('\n' + markdown + '\n'));
+          }
+          
+          // Call custom logger if provided
+          if (config.logger && typeof config.logger === 'function') {
+            config.logger(markdown, err, req, report);
+          }
+        }
+        
+        transports.dispatch(report, { markdown, error: err, request: req, options: config });
+      };
+      
+      let decision = true;
+      try {
+        decision = throttle ? throttle.shouldReport(report) : true;
+      } catch {
+        // A failing store should not hide errors, so report anyway
+      }
+      if (decision && typeof decision.then === 'function') {
+        decision
+          .then(allowed => allowed && emit(), () => emit())
+          // Nothing is waiting on this promise, so a throwing logger must not become an unhandled rejection
+          .catch(logError => console.warn(`⚠️ error-to-md: could not log error report: ${logError && logError.message}`));
+      } else if (decision) {
+        emit();
+      }
+      
+      return { report, markdown: () => markdown || reportToMarkdown(report, config) };
+    },
+    
+    // Status, content type and body for the error response, negotiated from `accept`
+    response(err, { report, markdown }, accept) {
+      const statusCode = errorStatusCode(err);
+      
+      if (config.sendMarkdown) {
+        return { statusCode, type: 'text/markdown', body: markdown() };
+      }
+      
+      const type = negotiateResponseType(accept);
+      const exposed = exposure(err, statusCode, config);
+      const problem = buildProblemDetails(err, report, statusCode, exposed, config);
+      
+      if (type === 'application/problem+json' || type === 'application/json') {
+        return { statusCode, type, body: problem };
+      }
+      if (!exposed.full) {
+        return { statusCode, type, body: renderProblem(problem, type) };
+      }
+      
+      const body = type === 'text/markdown'
+        ? markdown()
+        : type === 'text/html'
+          ? reportToHtml(report, config)
+          : reportToText(report, { ...config, colors: false });
+      return { statusCode, type, body };
+    }
+  };
+}
+
+/**
+ * Express middleware factory
+ */
+function expressErrorToMd(options = {}) {
+  const reporter = createErrorReporter(options);
   
-  // Severity
-  md.push(`**Severity:** ${formatSeverity(config.severity)}`);
-  md.push('');
+  const middleware = (err, req, res, next) => {
+    const reported = reporter.report(err, req);
+    
+    // Send response
+    if (!res.headersSent) {
+      const { statusCode, type, body } = reporter.response(err, reported, req.headers && req.headers.accept);
+      res.status(statusCode);
+      // Express's json() keeps an explicit Content-Type such as application/problem+json
+      res.type(type);
+      
+      if (typeof body === 'string') {
+        res.send(body);
+      } else {
+        res.json(body);
+      }
+    }
+  };
   
-  // Error Message
-  md.push(`${theme.errorIcon} **Error Message:**`);
-  md.push(`\`\`\`\n${err.message || 'Unknown Error'}\n\`\`\``);
-  md.push('');
+  // Wait for pending transport sends, e.g. before shutting down
+  middleware.flush = reporter.flush;
+  return middleware;
+}
+
+/**
+ * Parse a query string into an object, repeated keys becoming arrays
+ */
+function parseQueryString(search) {
+  const query = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    if (!Object.prototype.hasOwnProperty.call(query, key)) {
+      query[key] = value;
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  });
+  return query;
+}
+
+/**
+ * Request details from a plain `http.IncomingMessage`, in the shape `buildErrorReport` expects
+ */
+function normalizeNodeRequest(req) {
+  const url = req.url || '';
+  const queryStart = url.indexOf('?');
   
-  // Error Type
-  if (err.name && err.name !== 'Error') {
-    md.push(`**Error Type:** \`${err.name}\``);
-    md.push('');
+  return {
+    method: req.method,
+    originalUrl: url,
+    ip: req.socket && req.socket.remoteAddress,
+    headers: req.headers,
+    query: queryStart === -1 ? {} : parseQueryString(url.slice(queryStart + 1))
+  };
+}
+
+/**
+ * Write an error response on a raw `http.ServerResponse`
+ */
+function sendNodeResponse(res, { statusCode, type, body }) {
+  if (res.headersSent || res.writableEnded) {
+    // Too late for a clean error response; don't leave the client hanging
+    if (!res.writableEnded) res.end();
+    return;
   }
-  
-  // Error Code (for system errors)
-  if (err.code) {
-    md.push(`**Error Code:** \`${err.code}\``);
-    md.push('');
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  res.statusCode = statusCode;
+  res.setHeader('content-type', `${type}; charset=utf-8`);
+  res.setHeader('content-length', Buffer.byteLength(payload));
+  res.end(payload);
+}
+
+/**
+ * Last-resort response when building or sending the error report failed
+ */
+function sendBareError(res) {
+  try {
+    if (!res.headersSent) {
+      res.statusCode = 500;
+      res.setHeader('content-type', 'text/plain; charset=utf-8');
+    }
+    if (!res.writableEnded) res.end(res.headersSent ? undefined : 'Internal Server Error');
+  } catch {
+    // The socket is gone; nothing left to answer
   }
+}
+
+/**
+ * Koa middleware: mount it first so it wraps every downstream middleware
+ */
+function koaErrorToMd(options = {}) {
+  const reporter = createErrorReporter(options);
   
-  // Stack Trace
-  md.push(`${theme.stackIcon} **Stack Trace:**`);
-  const stackLines = (err.stack || 'No stack trace available')
-    .split('\n')
-    .slice(0, config.maxStackLines);
-  md.push('```');
-  md.push(stackLines.join('\n'));
-  if (err.stack && err.stack.split('\n').length > config.maxStackLines) {
-    md.push('... [TRUNCATED]');
-  }
-  md.push('```');
-  md.push('');
+  // Each request gets its own scope (breadcrumbs and context)
+  const middleware = (ctx, next) => runWithScope(async () => {
+    try {
+      await next();
+    } catch (err) {
+      const reported = reporter.report(err, {
+        method: ctx.method,
+        originalUrl: ctx.originalUrl || ctx.url,
+        ip: ctx.ip,
+        headers: ctx.headers,
+        query: ctx.query,
+        body: ctx.request && ctx.request.body,
+        params: ctx.params,
+        // Set by @koa/router
+        ...(ctx._matchedRoute && { route: { path: ctx._matchedRoute } })
+      });
+      const { statusCode, type, body } = reporter.response(err, reported, ctx.headers.accept);
+      ctx.status = statusCode;
+      // Assigning an object body resets the type to JSON, so the type goes last
+      ctx.body = body;
+      ctx.type = type;
+    }
+  }, ctx.req);
   
-  // Request Details
-  if (req) {
-    md.push(`${theme.requestIcon} **Request Details:**`);
-    md.push(`- **Method:** \`${req.method}\``);
-    md.push(`- **URL:** \`${req.originalUrl || req.url}\``);
-    md.push(`- **IP:** \`${req.ip || req.connection?.remoteAddress || 'unknown'}\``);
-    
-    if (config.includeUserAgent && req.headers?.['user-agent']) {
-      md.push(`- **User Agent:** \`${req.headers['user-agent']}\``);
+  middleware.flush = reporter.flush;
+  return middleware;
+}
+
+/**
+ * Fastify plugin setting an error handler: `fastify.register(fastifyErrorToMd(options))`.
+ * The handler itself is `plugin.errorHandler`, for `fastify.setErrorHandler`.
+ */
+function fastifyErrorToMd(options = {}) {
+  const reporter = createErrorReporter(options);
+  
+  const errorHandler = (err, request, reply) => {
+    const routePath = (request.routeOptions && request.routeOptions.url) || request.routerPath;
+    const reported = reporter.report(err, {
+      method: request.method,
+      originalUrl: request.url,
+      ip: request.ip,
+      headers: request.headers,
+      query: request.query,
+      body: request.body,
+      params: request.params,
+      ...(routePath && { route: { path: routePath } })
+    });
+    const { statusCode, type, body } = reporter.response(err, reported, request.headers && request.headers.accept);
+    reply.status(statusCode).type(type).send(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+  
+  const plugin = (fastify, pluginOptions, done) => {
+    fastify.setErrorHandler(errorHandler);
+    done();
+  };
+  // Like fastify-plugin: apply to the parent instance instead of a child context
+  plugin[Symbol.for('skip-override')] = true;
+  plugin[Symbol.for('fastify.display-name')] = 'error-to-md';
+  plugin.errorHandler = errorHandler;
+  plugin.flush = reporter.flush;
+  return plugin;
+}
+
+/**
+ * Hapi plugin reporting 5xx responses from `onPreResponse`: `server.register(hapiErrorToMd(options))`.
+ * Boom 4xx errors (validation, not found) are left to Hapi.
+ */
+function hapiErrorToMd(options = {}) {
+  const reporter = createErrorReporter(options);
+  
+  return {
+    name: 'error-to-md',
+    flush: reporter.flush,
+    register(server) {
+      server.ext('onPreResponse', (request, h) => {
+        const err = request.response;
+        if (!err || !err.isBoom) return h.continue;
+        
+        const statusCode = (err.output && err.output.statusCode) || 500;
+        if (statusCode < 500) return h.continue;
+        
+        const url = request.url;
+        const reported = reporter.report(err, {
+          method: String(request.method || '').toUpperCase(),
+          originalUrl: url ? `${url.pathname}${url.search || ''}` : request.path,
+          ip: request.info && request.info.remoteAddress,
+          headers: request.headers,
+          query: request.query,
+          body: request.payload,
+          params: request.params,
+          ...(request.route && request.route.path && { route: { path: request.route.path } })
+        });
+        const { type, body } = reporter.response(err, reported, request.headers && request.headers.accept);
+        return h.response(body).code(statusCode).type(type);
+      });
     }
-    
-    if (req.body && Object.keys(req.body).length > 0) {
-      md.push(`- **Body:**`);
-      md.push('```json');
-      md.push(JSON.stringify(cleanObject(req.body, config.redact, config.maxBodySize), null, 2));
-      md.push('```');
+  };
+}
+
+/**
+ * Wrap a plain `http.createServer` handler so sync throws and rejected promises are reported
+ */
+function httpErrorToMd(handler, options = {}) {
+  const reporter = createErrorReporter(options);
+  
+  const wrapped = (req, res) => runWithScope(async () => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      // No framework sits above this wrapper, so a failure here must still answer the request
+      try {
+        const reported = reporter.report(err, normalizeNodeRequest(req));
+        sendNodeResponse(res, reporter.response(err, reported, req.headers.accept));
+      } catch (reportError) {
+        console.warn(`⚠️ error-to-md: could not report error: ${reportError && reportError.message}`);
+        sendBareError(res);
+      }
     }
+  }, req);
+  
+  wrapped.flush = reporter.flush;
+  return wrapped;
+}
+
+/**
+ * Wrap a route handler, middleware or whole router so sync throws, rejected
+ * promises and errors passed to `next` reach Express's error handlers with the
+ * report attached. It is logged here unless `annotateOnly` is set;
+ * `expressErrorToMd` keeps its error ID either way and doesn't log it again.
+ */
+function asyncErrorToMd(fn, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  
+  const annotate = (value, req) => {
+    const err = value !== null && typeof value === 'object' ? value : toError(value);
+    // Nested wrappers, e.g. a wrapped handler inside a wrapped router
+    if (getAnnotation(err, req)) return err;
+    // Still inside the router here; keep its mount path unless route matching recorded it
+    if (req.route && !routeMounts.has(req)) routeMounts.set(req, req.baseUrl || '');
     
-    if (req.query && Object.keys(req.query).length > 0) {
-      md.push(`- **Query Parameters:**`);
-      md.push('```json');
-      md.push(JSON.stringify(cleanObject(req.query, config.redact), null, 2));
-      md.push('```');
+    try {
+      const built = withRequestBreadcrumb(buildErrorReport(err, req, config), req, config);
+      const report = withResponseStatus(built, err);
+      const annotation = annotateError(err, req, report);
+      if (!config.annotateOnly) {
+        const markdown = reportToMarkdown(report, config);
+        if (config.logToConsole) {
+          withoutBreadcrumbs(() => console.error('\n' + markdown + '\n'));
+        }
+        if (config.logger && typeof config.logger === 'function') {
+          try {
+            config.logger(markdown, err, req, report);
+          } catch {
+            // Keep going: the error still has to reach next()
+          }
+        }
+        annotation.logged = true;
+      }
+    } catch {
+      // A report that can't be built must not keep the error from Express's error handlers
     }
+    return err;
+  };
+  
+  return (req, res, next) => {
+    const fail = err => next(annotate(err, req));
+    // Routers and plain middleware hand errors to next() instead of throwing
+    const forward = err => (err && err !== 'route' && err !== 'router' ? fail(err) : next(err));
     
-    if (req.params && Object.keys(req.params).length > 0) {
-      md.push(`- **Route Parameters:**`);
-      md.push('```json');
-      md.push(JSON.stringify(req.params, null, 2));
-      md.push('```');
+    try {
+      const result = fn(req, res, forward);
+      return result && typeof result.then === 'function'
+        ? Promise.resolve(result).then(() => {}, fail)
+        : result;
+    } catch (err) {
+      return fail(err);
     }
-    
-    // Headers (redacted)
-    md.push(`- **Headers:**`);
-    md.push('```json');
-    md.push(JSON.stringify(cleanObject(req.headers, config.redact), null, 2));
-    md.push('```');
-    md.push('');
+  };
+}
+
+/**
+ * Record console output and outgoing HTTP calls (http, https and fetch) as
+ * breadcrumbs. Returns `{ uninstall }`, which restores the originals.
+ */
+function installBreadcrumbs(options = {}) {
+  const { console: captureConsole = true, http: captureHttp = true } = options;
+  if (options.maxBreadcrumbs !== undefined) {
+    maxBreadcrumbs = Math.max(1, Math.floor(Number(options.maxBreadcrumbs)) || 1);
   }
   
-  // Environment Information
-  if (config.includeEnvironment) {
-    md.push(`${theme.envIcon} **Environment:**`);
-    md.push(`- **Node.js Version:** \`${process.version}\``);
-    md.push(`- **Platform:** \`${process.platform} ${process.arch}\``);
-    md.push(`- **Environment:** \`${process.env.NODE_ENV || 'development'}\``);
-    
-    if (config.appVersion) {
-      md.push(`- **App Version:** \`${config.appVersion}\``);
-    }
-    
-    if (config.includeMemoryUsage) {
-      const perf = getPerformanceMetrics();
-      md.push(`- **Memory Usage:** RSS: \`${perf.memory.rss}\`, Heap: \`${perf.memory.heapUsed}/${perf.memory.heapTotal}\``);
-      md.push(`- **CPU Usage:** User: \`${perf.cpu.user}\`, System: \`${perf.cpu.system}\``);
-      md.push(`- **Process Uptime:** \`${perf.uptime}\``);
-    }
+  const restores = [];
+  const patch = (target, name, wrap) => {
+    const original = target[name];
+    if (typeof original !== 'function') return;
+    target[name] = wrap(original);
+    restores.push(() => { target[name] = original; });
+  };
+  
+  if (captureConsole) {
+    const consoleLevels = { debug: 'debug', log: 'info', info: 'info', warn: 'warning', error: 'error' };
+    Object.keys(consoleLevels).forEach(method => patch(console, method, original => function (...args) {
+      addBreadcrumb({ category: 'console', level: consoleLevels[method], message: format(...args) });
+      return original.apply(this, args);
+    }));
+  }
+  
+  if (captureHttp) {
+    const trackRequest = (protocol, original) => function (...args) {
+      const request = original.apply(this, args);
+      if (breadcrumbsPaused) return request;
+      
+      const scope = scopeStorage.getStore();
+      const started = Date.now();
+      const method = request.method;
+      const url = `${request.protocol || protocol}//${request.getHeader('host') || request.host}${request.path}`;
+      const record = (level, data) => recordBreadcrumb({
+        category: 'http',
+        level,
+        message: `${method} ${url}`,
+        data: { method, url, ...data, durationMs: Date.now() - started }
+      }, scope);
+      
+      // Intercept emit rather than listening: an 'error' listener would swallow
+      // unhandled errors, and a 'response' listener stops unread responses being dumped
+      const emit = request.emit;
+      request.emit = function (event, ...rest) {
+        if (event === 'response') {
+          record(rest[0].statusCode >= 400 ? 'warning' : 'info', { statusCode: rest[0].statusCode });
+        } else if (event === 'error') {
+          record('error', { error: rest[0] && rest[0].message });
+        }
+        return emit.call(this, event, ...rest);
+      };
+      return request;
+    };
+    patch(http, 'request', original => trackRequest('http:', original));
+    patch(http, 'get', original => trackRequest('http:', original));
+    patch(https, 'request', original => trackRequest('https:', original));
+    patch(https, 'get', original => trackRequest('https:', original));
     
-    md.push('');
+    patch(globalThis, 'fetch', original => function (input, init) {
+      const scope = scopeStorage.getStore();
+      const started = Date.now();
+      const method = String((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+      const url = typeof input === 'string' ? input : String((input && input.url) || input);
+      const record = (level, data) => recordBreadcrumb({
+        category: 'http',
+        level,
+        message: `${method} ${url}`,
+        data: { method, url, ...data, durationMs: Date.now() - started }
+      }, scope);
+      
+      return original.call(this, input, init).then(response => {
+        record(response.status >= 400 ? 'warning' : 'info', { statusCode: response.status });
+        return response;
+      }, err => {
+        record('error', { error: err && err.message });
+        throw err;
+      });
+    });
   }
   
-  // Performance
-  if (config.includePerformance) {
-    const endTime = performance.now();
-    md.push(`⚡ **Report Generation Time:** \`${(endTime - startTime).toFixed(2)}ms\``);
-    md.push('');
+  return {
+    uninstall() {
+      restores.splice(0).reverse().forEach(restore => restore());
+    }
+  };
+}
+
+/**
+ * Express middleware giving each request its own breadcrumbs and context; mount it first
+ */
+function scopeMiddleware() {
+  return (req, res, next) => {
+    trackRouteMount(req);
+    return runWithScope(() => next(), req);
+  };
+}
+
+/**
+ * @deprecated Use `scopeMiddleware`, which also carries context
+ */
+const breadcrumbMiddleware = scopeMiddleware;
+
+/**
+ * Turn anything thrown or rejected into an Error, describing non-Error values in the message
+ */
+function toError(value, kind = 'Thrown value') {
+  if (value instanceof Error) return value;
+  if (value && typeof value === 'object' && typeof value.message === 'string' && typeof value.stack === 'string') {
+    return createErrorFromObject(value);
   }
   
-  // Footer
-  md.push(theme.separator);
-  md.push('*Generated by [error-to-md](https://github.com/imankii01/error-to-md) 🚀*');
+  let description;
+  if (value === undefined || value === null) {
+    description = `${kind} was ${value}`;
+  } else if (typeof value === 'string') {
+    description = value || `${kind} was an empty string`;
+  } else {
+    const serialized = typeof value === 'object'
+      ? JSON.stringify(fitToSize(toSerializable(value), 500))
+      : String(toSerializable(value));
+    description = `${kind} is not an Error (${typeof value}): ${serialized}`;
+  }
   
-  return md.join('\n');
+  const err = new Error(description);
+  err.name = 'NonErrorValue';
+  // There is no meaningful stack: it would point at this function
+  err.stack = `${err.name}: ${description}`;
+  return err;
 }
 
 /**
- * Express middleware factory
+ * Report uncaughtException, unhandledRejection and process warnings. Fatal errors are
+ * written to disk synchronously, then transports get `flushTimeoutMs` before the exit.
  */
-function expressErrorToMd(options = {}) {
-  const config = { ...defaultOptions, ...options };
+function installGlobalHandlers(options = {}) {
+  const config = {
+    crashDir: 'error-reports',
+    exitOnUncaughtException: true,
+    exitOnUnhandledRejection: true, // exit on every Node.js version; Node 15+ does by default, Node 14 only warns
+    includeWarnings: true,
+    flushTimeoutMs: 3000,
+    exitCode: 1,
+    ...defaultOptions,
+    ...options
+  };
+  validateTheme(config.theme);
+  if (resolveDiagnostics(config.diagnostics).includes('eventLoop')) startEventLoopMonitor();
+  const transports = createTransportDispatcher(config);
+  let exiting = false;
   
-  return (err, req, res, next) => {
-    const markdown = errorToMarkdown(err, req, config);
-    
-    // Log to console
-    console.error('\n' + markdown + '\n');
-    
-    // Call custom logger if provided
+  const report = (err, severity) => {
+    const errorReport = buildErrorReport(err, null, { ...config, severity });
+    const markdown = reportToMarkdown(errorReport, config);
     if (config.logger && typeof config.logger === 'function') {
-      config.logger(markdown, err, req);
+      try {
+        config.logger(markdown, err, null, errorReport);
+      } catch {
+        // Keep going: the report still has to reach disk and transports
+      }
     }
+    return { errorReport, markdown };
+  };
+  
+  const handleFatal = (value, kind, shouldExit) => {
+    const err = toError(value, kind);
+    const { errorReport, markdown } = report(err, shouldExit ? 'critical' : 'error');
     
-    // Send response
-    if (!res.headersSent) {
-      const statusCode = err.status || err.statusCode || 500;
-      res.status(statusCode);
-      
-      if (config.sendMarkdown) {
-        res.type('text/markdown').send(markdown);
-      } else {
-        res.json({
-          error: 'Internal Server Error',
-          ...(process.env.NODE_ENV === 'development' && { 
-            message: err.message,
-            errorId: config.generateErrorId ? generateErrorId(err, req) : undefined
-          })
-        });
+    if (config.logToConsole) {
+      withoutBreadcrumbs(() => console.error('\n' + markdown + '\n'));
+    }
+    if (config.crashDir) {
+      try {
+        mkdirSync(config.crashDir, { recursive: true });
+        const name = (errorReport.errorId || `CRASH-${Date.now()}`).replace(/[^\w.-]/g, '_');
+        writeFileSync(join(config.crashDir, `${name}.md`), markdown);
+      } catch (writeError) {
+        console.error(`⚠️ error-to-md: could not write crash report: ${writeError.message}`);
       }
     }
+    
+    if (!shouldExit) {
+      transports.dispatch(errorReport, { markdown, error: err, request: null, options: config });
+      return;
+    }
+    // A second fatal error while flushing exits right away
+    if (exiting) process.exit(config.exitCode);
+    exiting = true;
+    transports.dispatch(errorReport, { markdown, error: err, request: null, options: config });
+    transports.flush(config.flushTimeoutMs).then(() => process.exit(config.exitCode));
   };
-}
-
-/**
- * Async error handler wrapper
- */
-function asyncErrorToMd(fn, options = {}) {
-  return async (req, res, next) => {
-    try {
-      await fn(req, res, next);
-    } catch (err) {
-      const markdown = errorToMarkdown(err, req, options);
-      console.error('\n' + markdown + '\n');
-      next(err);
+  
+  const listeners = {
+    uncaughtException: err => handleFatal(err, 'Thrown value', config.exitOnUncaughtException),
+    unhandledRejection: reason => handleFatal(reason, 'Rejection value', config.exitOnUnhandledRejection),
+    warning: warning => {
+      if (!config.includeWarnings) return;
+      const err = toError(warning, 'Warning');
+      const { errorReport, markdown } = report(err, 'warning');
+      transports.dispatch(errorReport, { markdown, error: err, request: null, options: config });
+    }
+  };
+  Object.keys(listeners).forEach(event => process.on(event, listeners[event]));
+  
+  return {
+    flush: timeoutMs => transports.flush(timeoutMs === undefined ? config.flushTimeoutMs : timeoutMs),
+    uninstall() {
+      Object.keys(listeners).forEach(event => process.removeListener(event, listeners[event]));
     }
   };
 }
 
 /**
  * Create error from JSON object (for CLI usage)
+ * Nested `cause` and `errors` entries are rebuilt recursively.
  */
-function createErrorFromObject(errorObj) {
-  const err = new Error(errorObj.message || 'Unknown error');
+function createErrorFromObject(errorObj = {}) {
+  const rebuild = value => (value && typeof value === 'object' ? createErrorFromObject(value) : value);
+  const errors = Array.isArray(errorObj.errors)
+    ? errorObj.errors.map(rebuild)
+    : null;
+  
+  const err = errors && typeof AggregateError === 'function'
+    ? new AggregateError(errors, errorObj.message || 'Unknown error')
+    : new Error(errorObj.message || 'Unknown error');
   err.name = errorObj.name || 'Error';
   err.stack = errorObj.stack || err.stack;
   err.code = errorObj.code;
+  
+  if (errors && !Array.isArray(err.errors)) {
+    err.errors = errors;
+  }
+  if (errorObj.cause !== undefined) {
+    err.cause = rebuild(errorObj.cause);
+  }
   return err;
 }
 
 export { 
   errorToMarkdown, 
+  buildErrorReport,
+  reportToMarkdown,
+  reportToSlack,
+  reportToDiscord,
+  errorToSlack,
+  errorToDiscord,
+  reportToHtml,
+  reportToText,
+  errorToHtml,
+  errorToText,
+  registerTheme,
+  validateTheme,
   expressErrorToMd, 
+  koaErrorToMd,
+  fastifyErrorToMd,
+  hapiErrorToMd,
+  httpErrorToMd,
   asyncErrorToMd, 
+  installGlobalHandlers,
+  installBreadcrumbs,
+  scopeMiddleware,
+  runWithScope,
+  breadcrumbMiddleware,
+  runWithBreadcrumbs,
+  addBreadcrumb,
+  getBreadcrumbs,
+  clearBreadcrumbs,
+  setUser,
+  setTag,
+  setExtra,
+  setSection,
+  setGlobalContext,
+  getContext,
+  clearContext,
   createErrorFromObject,
+  parseStackTrace,
+  getFingerprint,
+  createMemoryStore,
+  fileTransport,
+  webhookTransport,
+  stdoutTransport,
+  githubTransport,
+  reportToGitHubIssue,
+  reportToGitHubIssueUrl,
+  redactSecrets,
+  secretRules,
   defaultOptions,
   themes
 };
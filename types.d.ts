@@ -5,8 +5,14 @@
  */
 
 export interface ErrorToMdOptions {
-  /** Fields to redact in request bodies/headers */
-  redact?: string[];
+  /** Fields to redact in request bodies, query, params and headers */
+  redact?: RedactRule[];
+  
+  /** Keys or paths that are never redacted, e.g. `x-api-key-id` */
+  redactAllow?: RedactRule[];
+  
+  /** Default mask for redacted values */
+  redactMask?: RedactMask;
   
   /** Include environment information */
   includeEnvironment?: boolean;
@@ -17,8 +23,8 @@ export interface ErrorToMdOptions {
   /** Include performance metrics */
   includePerformance?: boolean;
   
-  /** Theme for output formatting */
-  theme?: 'github' | 'slack' | 'discord';
+  /** Theme for output formatting: a built-in or registered name, or a definition */
+  theme?: 'github' | 'slack' | 'discord' | (string & {}) | ThemeDefinition;
   
   /** Maximum lines in stack trace */
   maxStackLines?: number;
@@ -26,6 +32,12 @@ export interface ErrorToMdOptions {
   /** Maximum size for request body */
   maxBodySize?: number;
   
+  /** Nesting depth kept in request data before objects are summarized */
+  maxDataDepth?: number;
+  
+  /** Longest string kept in request data before it is cut */
+  maxStringLength?: number;
+  
   /** Include user agent information */
   includeUserAgent?: boolean;
   
@@ -35,19 +47,244 @@ export interface ErrorToMdOptions {
   /** Generate unique error ID */
   generateErrorId?: boolean;
   
+  /**
+   * Derive error IDs from a fingerprint that groups the same bug across requests.
+   * A function receives the default parts and returns its own (string or array).
+   */
+  fingerprint?: boolean | ((error: Error, request: any, defaultParts: string[]) => string | string[] | null | undefined);
+  
+  /** In-app stack frames included in the default fingerprint */
+  fingerprintFrames?: number;
+  
   /** Error severity level */
   severity?: 'info' | 'warning' | 'error' | 'critical';
   
+  /** Render `error.cause` chains and `AggregateError.errors` */
+  includeCauses?: boolean;
+  
+  /** Maximum nesting depth for causes and aggregated errors */
+  maxCauseDepth?: number;
+  
+  /** Maximum lines in each nested error's stack trace */
+  maxCauseStackLines?: number;
+  
+  /** Render the stack trace as a code block or a frame table */
+  stackFormat?: 'text' | 'table';
+  
+  /** Collapse runs of node_modules and Node.js internal frames */
+  collapseLibraryFrames?: boolean;
+  
+  /** Highlight the first in-app frame */
+  highlightAppFrame?: boolean;
+  
+  /** Include source lines around the first in-app frame */
+  includeSourceContext?: boolean;
+  
+  /** Lines of source shown before and after the failing line */
+  sourceContextLines?: number;
+  
+  /** Local checkout that stack paths (e.g. `/app/src/...`) are mapped onto */
+  sourceRoot?: string | null;
+  
+  /** Resolve stack frames to original sources through source maps */
+  sourceMaps?: boolean;
+  
+  /** ANSI colors for plain-text output; `auto` colors only on a TTY without NO_COLOR */
+  colors?: 'auto' | boolean;
+  
+  /** Redact secrets found by value (tokens, keys, cards, emails) wherever they appear */
+  detectSecrets?: boolean;
+  
+  /** Extra rules run after the built-in ones */
+  secretRules?: SecretRule[];
+  
+  /** Names of built-in or custom rules to skip, e.g. `['email']` */
+  ignoreSecretRules?: string[];
+  
   /** Application version to display */
   appVersion?: string;
   
-  /** Custom logger function */
-  logger?: (markdown: string, error: Error, request?: any) => void;
+  /** Custom logger function, also given the structured report */
+  logger?: (markdown: string, error: Error, request?: any, report?: ErrorReport) => void;
   
   /** Send markdown in HTTP response */
   sendMarkdown?: boolean;
+  
+  /**
+   * Middleware: send the message and full report to clients. `null` exposes only when
+   * NODE_ENV is development; a 4xx error's boolean `expose` decides about its message.
+   */
+  expose?: boolean | null;
+  
+  /** asyncErrorToMd: attach the report to the error but leave logging to `expressErrorToMd` */
+  annotateOnly?: boolean;
+  
+  /** Render recent logs, HTTP calls and custom events as a timeline */
+  includeBreadcrumbs?: boolean;
+  
+  /** Include user, tags, extra data, custom sections and trace/request IDs */
+  includeContext?: boolean;
+  
+  /**
+   * Runtime diagnostics section (off by default): `true` for every collector, or an
+   * object where collectors set to `false` are skipped
+   */
+  diagnostics?: boolean | DiagnosticsOptions;
+  
+  /** Middleware: log each error ID once per window (default 5 minutes) */
+  dedupe?: boolean | { windowMs?: number };
+  
+  /** Middleware: cap on reports logged per minute, 0 for no cap */
+  maxReportsPerMinute?: number;
+  
+  /** Middleware: where dedupe and rate-limit counters live, in memory by default */
+  store?: ThrottleStore | null;
+  
+  /** Middleware: called when a window with suppressed reports ends (default: console.error) */
+  onSummary?: ((summary: ThrottleSummary) => void) | null;
+  
+  /** Middleware: where reports are sent besides the console and `logger` */
+  transports?: Transport[];
+  
+  /** Middleware: print each Markdown report with console.error */
+  logToConsole?: boolean;
+  
+  /** Middleware: called when a transport fails (default: console.warn) */
+  onTransportError?: ((error: Error, transport: Transport) => void) | null;
+  
+  /** Middleware: create or update GitHub issues (shorthand for a `githubTransport`) */
+  github?: GitHubIssueOptions | null;
+  
+  /** Middleware: `owner/name`; exposed error responses include a prefilled `issueUrl` */
+  issueRepo?: string | null;
+  
+  /**
+   * Character budget for Markdown output, e.g. 65536 for GitHub issue bodies.
+   * Stack traces shrink first, then headers, then the body.
+   */
+  maxLength?: number | null;
 }
 
+export interface GitHubIssueOptions extends ErrorToMdOptions {
+  token: string;
+  /** `owner/name` */
+  repo: string;
+  /** Default `https://api.github.com`; point it at GitHub Enterprise or a mock server */
+  apiUrl?: string;
+  /** Added to the derived `severity:<level>` and `error:<Name>` labels */
+  labels?: string[];
+  /** Per request, default 10000 */
+  timeoutMs?: number;
+  /** Issue body to use instead of rendering the report */
+  markdown?: string | null;
+  minSeverity?: ErrorReport['severity'] | null;
+}
+
+export interface GitHubIssueUrlOptions extends ErrorToMdOptions {
+  /** `owner/name` */
+  repo: string;
+  /** Added to the derived `severity:<level>` and `error:<Name>` labels */
+  labels?: string[];
+  /** Default `https://github.com` */
+  baseUrl?: string;
+  /** Default 8000, below the limits of GitHub and common browsers */
+  maxUrlLength?: number;
+}
+
+export interface GitHubIssueResult {
+  action: 'created' | 'commented';
+  number: number;
+  url: string;
+}
+
+export interface TransportContext {
+  markdown: string;
+  error: Error;
+  request?: any;
+  options: ErrorToMdOptions;
+}
+
+export interface Transport {
+  name?: string;
+  /** Skip reports below this severity */
+  minSeverity?: ErrorReport['severity'] | null;
+  send(report: ErrorReport, context: TransportContext): void | Promise<void>;
+}
+
+export interface FileTransportOptions {
+  /** Default `error-reports` */
+  dir?: string;
+  /** Newest reports kept, default 1000 */
+  maxFiles?: number;
+  /** Reports older than this are removed, default 30 (0 keeps them) */
+  maxAgeDays?: number;
+  minSeverity?: ErrorReport['severity'] | null;
+}
+
+export interface WebhookTransportOptions {
+  url: string;
+  /** Default `json` (the report itself) */
+  format?: 'json' | 'markdown' | 'slack' | 'discord';
+  headers?: Record<string, string>;
+  /** Build the payload yourself; overrides `format` */
+  body?: (report: ErrorReport, context: TransportContext) => any;
+  /** Per attempt, default 5000 */
+  timeoutMs?: number;
+  /** Retries after network errors, timeouts, 429 and 5xx; default 3 */
+  retries?: number;
+  /** Doubled after every retry, default 500 */
+  retryDelayMs?: number;
+  minSeverity?: ErrorReport['severity'] | null;
+}
+
+export interface StdoutTransportOptions {
+  stream?: { write(chunk: string): any };
+  minSeverity?: ErrorReport['severity'] | null;
+}
+
+export interface ThrottleStore {
+  /** Count a hit in the key's current window, starting a new one once `windowMs` has passed */
+  increment(key: string, windowMs: number): { count: number; resetAt: number } | Promise<{ count: number; resetAt: number }>;
+  /**
+   * Remove the key's window that ends at `resetAt` and return its final count.
+   * A newer window for the same key must be left alone.
+   */
+  take(key: string, resetAt: number): number | Promise<number>;
+}
+
+export interface ThrottleSummary {
+  type: 'dedupe' | 'rate-limit';
+  /** Reports suppressed in the window */
+  count: number;
+  windowMs: number;
+  /** e.g. "🔁 ERR-1A2B3C4D occurred 347 more times in the last 5 minutes" */
+  text: string;
+  errorId?: string | null;
+  fingerprint?: string | null;
+  message?: string;
+}
+
+/**
+ * `full` → `[REDACTED]`, `last4` → `****1234`, `hash` → `[REDACTED:hash:<sha256 prefix>]`
+ */
+export type RedactMask = 'full' | 'last4' | 'hash' | ((value: any, path: string) => string);
+
+/**
+ * A plain string matches whole words of a key (`key` matches `x-api-key`, not `monkey`);
+ * a string with dots is a path like `body.user.ssn` (`*` matches one segment);
+ * a RegExp is tested against the key.
+ */
+export type RedactRule = string | RegExp | {
+  match?: string | RegExp;
+  /** Exact key, case-insensitive */
+  key?: string;
+  /** Any key containing this substring, case-insensitive (`token` matches `sessiontoken`) */
+  contains?: string;
+  path?: string;
+  pattern?: RegExp;
+  mask?: RedactMask;
+};
+
 export interface ExpressRequest {
   method?: string;
   originalUrl?: string;
@@ -57,6 +294,8 @@ export interface ExpressRequest {
   query?: any;
   params?: any;
   headers?: Record<string, any>;
+  /** Set when an error report is generated for this request */
+  errorId?: string;
   [key: string]: any;
 }
 
@@ -86,13 +325,233 @@ export interface PerformanceMetrics {
   uptime: string;
 }
 
+export interface StackFrame {
+  /** The original stack line, trimmed */
+  raw: string;
+  functionName: string | null;
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  async: boolean;
+  /** `app` for your code, `library` for node_modules, `internal` for Node.js core */
+  type: 'app' | 'library' | 'internal';
+  inApp: boolean;
+}
+
+export interface SourceContext {
+  file: string;
+  line: number;
+  column: number | null;
+  /** Code fence language tag, e.g. `javascript` */
+  language: string;
+  lines: Array<{ number: number; text: string; current: boolean }>;
+}
+
+export interface NestedErrorEntry {
+  /** e.g. `Caused by` or `Aggregated error 1/3` */
+  label: string;
+  depth: number;
+  name?: string;
+  message?: string;
+  code?: string | null;
+  stack?: string | null;
+  circular?: boolean;
+  /** Set when nesting stopped at `maxCauseDepth` */
+  omitted?: boolean;
+  maxDepth?: number;
+}
+
+export interface RequestDetails {
+  method: string | null;
+  url: string | null;
+  /** Matched route pattern, e.g. `/api/users/:id` (`req.baseUrl` + `req.route.path`) */
+  route: string | null;
+  /** ISO 8601; from the breadcrumb scope or `req._startTime` */
+  startedAt: string | null;
+  /** Time from the start of the request until the report */
+  durationMs: number | null;
+  ip: string;
+  userAgent: string | null;
+  body: any;
+  query: any;
+  params: Record<string, any> | null;
+  headers: Record<string, any> | null;
+  /** From Express's `req.res` */
+  response: ResponseDetails | null;
+}
+
+export interface ResponseDetails {
+  /** The status the error response gets, or the one already sent */
+  statusCode: number | null;
+  headersSent: boolean;
+  /** Headers set so far, redacted */
+  headers: Record<string, any> | null;
+  /** `res.locals` keys; values are left out */
+  locals: string[];
+}
+
+export interface ReportContext {
+  user: Record<string, any> | null;
+  tags: Record<string, any>;
+  extra: Record<string, any>;
+  /** Custom sections by heading */
+  sections: Record<string, any>;
+}
+
+export interface Correlation {
+  /** W3C trace context */
+  traceId?: string;
+  spanId?: string;
+  sampled?: boolean;
+  requestId?: string;
+}
+
+export interface DiagnosticsOptions {
+  /** Event loop delay (mean/p99/max) and utilization since monitoring started */
+  eventLoop?: boolean;
+  /** Active handle and request counts */
+  handles?: boolean;
+  /** `v8.getHeapStatistics()` */
+  heap?: boolean;
+  /** Load average, free/total memory, CPU count */
+  os?: boolean;
+  /** Hostname, PID and container ID */
+  host?: boolean;
+  /** Commit SHA from CI/deploy variables or `.git` */
+  git?: boolean;
+  /** Name and version from the nearest package.json */
+  package?: boolean;
+}
+
+export interface Diagnostics {
+  eventLoop?: {
+    since: string;
+    /** Missing until the monitor has samples */
+    delayMs?: { mean: number; p99: number; max: number };
+    /** 0-1 */
+    utilization?: number;
+  };
+  handles?: {
+    activeHandles: number;
+    activeRequests: number;
+    /** Counts by resource type, where `process.getActiveResourcesInfo` exists */
+    resources?: Record<string, number>;
+  };
+  heap?: { usedMB: number; totalMB: number; limitMB: number; usedOfLimit: number };
+  os?: { loadAverage: number[]; freeMemoryMB: number; totalMemoryMB: number; cpus: number };
+  host?: { hostname: string; pid: number; containerId: string | null };
+  git?: { commit: string | null };
+  package?: { name: string | null; version: string | null };
+}
+
+export type BreadcrumbLevel = 'debug' | 'info' | 'warning' | 'error';
+
+export interface Breadcrumb {
+  /** ISO 8601 */
+  timestamp: string;
+  /** `request`, `http`, `console`, `custom` or your own */
+  category: string;
+  level: BreadcrumbLevel;
+  message: string;
+  data?: any;
+}
+
+export type BreadcrumbInput = string | {
+  category?: string;
+  level?: BreadcrumbLevel;
+  message?: string;
+  data?: any;
+  timestamp?: string | number | Date;
+};
+
+export interface ErrorReport {
+  errorId: string | null;
+  /** Grouping hash, set when `fingerprint` is on or the error has `err.fingerprint` */
+  fingerprint: string | null;
+  timestamp: string | null;
+  severity: 'info' | 'warning' | 'error' | 'critical';
+  error: {
+    name: string;
+    message: string;
+    code: string | null;
+    stack: string | null;
+    frames: StackFrame[];
+    nested: NestedErrorEntry[];
+  };
+  sourceContext: SourceContext | null;
+  request: RequestDetails | null;
+  /** Set through `setUser`, `setTag`, `setExtra` and `setSection`; `null` when empty */
+  context: ReportContext | null;
+  /** From `traceparent` and `x-request-id` request headers */
+  correlation: Correlation | null;
+  /** Set when the `diagnostics` option is on; collectors that failed are left out */
+  diagnostics: Diagnostics | null;
+  /** Oldest first; the middleware puts the incoming request first */
+  breadcrumbs: Breadcrumb[] | null;
+  environment: {
+    nodeVersion: string;
+    platform: string;
+    arch: string;
+    nodeEnv: string;
+    appVersion: string | null;
+  } | null;
+  performance: PerformanceMetrics | null;
+  generationTimeMs: number | null;
+}
+
+export type ReportSection =
+  | 'header'
+  | 'severity'
+  | 'message'
+  | 'type'
+  | 'code'
+  | 'stack'
+  | 'source'
+  | 'causes'
+  | 'request'
+  | 'context'
+  | 'correlation'
+  | 'breadcrumbs'
+  | 'environment'
+  | 'diagnostics'
+  | 'performance'
+  | 'footer';
+
+/**
+ * Renders a custom section; return `null` or an empty string to skip it
+ */
+export type CustomSectionRenderer = (
+  report: ErrorReport,
+  context: { theme: Theme; options: ErrorToMdOptions; label: string }
+) => string | string[] | null | undefined;
+
 export interface Theme {
   title: string;
   errorIcon: string;
   stackIcon: string;
   requestIcon: string;
   envIcon: string;
+  causeIcon?: string;
+  sourceIcon?: string;
+  contextIcon?: string;
+  sectionIcon?: string;
+  correlationIcon?: string;
+  breadcrumbIcon?: string;
+  diagnosticsIcon?: string;
   separator: string;
+  /** Sections to render, in order; sections left out are hidden */
+  sections?: Array<ReportSection | string>;
+  /** Rename section labels, e.g. `{ stack: 'Backtrace' }` */
+  labels?: Partial<Record<ReportSection | 'errorId' | 'timestamp', string>> & Record<string, string>;
+  /** Extra sections (or replacements for built-in ones) */
+  customSections?: Record<string, CustomSectionRenderer>;
+  /** Markdown template with `{{section}}` slots; takes precedence over `sections` */
+  template?: string;
+}
+
+export interface ThemeDefinition extends Partial<Theme> {
+  /** Theme to inherit from (default: github) */
+  extends?: string;
 }
 
 /**
@@ -104,31 +563,377 @@ export function errorToMarkdown(
   options?: ErrorToMdOptions
 ): string;
 
+/**
+ * Build a structured, JSON-serializable report from an error
+ */
+export function buildErrorReport(
+  error: Error,
+  request?: ExpressRequest | null,
+  options?: ErrorToMdOptions
+): ErrorReport;
+
+/**
+ * Render a report built by `buildErrorReport` as Markdown
+ */
+export function reportToMarkdown(report: ErrorReport, options?: ErrorToMdOptions): string;
+
+export interface SlackPayload {
+  /** Notification fallback text */
+  text: string;
+  /** Block Kit blocks */
+  blocks: Array<Record<string, any>>;
+}
+
+export interface DiscordEmbed {
+  title: string;
+  description: string;
+  color: number;
+  fields: Array<{ name: string; value: string; inline: boolean }>;
+  footer: { text: string };
+  timestamp?: string;
+}
+
+export interface DiscordPayload {
+  embeds: DiscordEmbed[];
+}
+
+/**
+ * Render a report as a Slack Block Kit payload within Slack's limits
+ */
+export function reportToSlack(report: ErrorReport, options?: ErrorToMdOptions): SlackPayload;
+
+/**
+ * Render a report as a Discord webhook embed payload within Discord's limits
+ */
+export function reportToDiscord(report: ErrorReport, options?: ErrorToMdOptions): DiscordPayload;
+
+/**
+ * Convert an error to a Slack Block Kit payload
+ */
+export function errorToSlack(
+  error: Error,
+  request?: ExpressRequest | null,
+  options?: ErrorToMdOptions
+): SlackPayload;
+
+/**
+ * Convert an error to a Discord webhook embed payload
+ */
+export function errorToDiscord(
+  error: Error,
+  request?: ExpressRequest | null,
+  options?: ErrorToMdOptions
+): DiscordPayload;
+
+/**
+ * Render a report as a self-contained HTML document
+ */
+export function reportToHtml(report: ErrorReport, options?: ErrorToMdOptions): string;
+
+/**
+ * Render a report as plain text, ANSI-colored when `colors` allows it
+ */
+export function reportToText(report: ErrorReport, options?: ErrorToMdOptions): string;
+
+/**
+ * Convert an error to a self-contained HTML document
+ */
+export function errorToHtml(
+  error: Error,
+  request?: ExpressRequest | null,
+  options?: ErrorToMdOptions
+): string;
+
+/**
+ * Convert an error to plain text (ANSI-colored for TTYs by default)
+ */
+export function errorToText(
+  error: Error,
+  request?: ExpressRequest | null,
+  options?: ErrorToMdOptions
+): string;
+
+/**
+ * Register a custom theme so it can be selected by name
+ */
+export function registerTheme(name: string, definition: ThemeDefinition): Theme;
+
+/**
+ * Validate a theme name or definition and return the resolved theme.
+ * Throws on unknown theme names, sections, labels or template slots.
+ */
+export function validateTheme(theme: string | ThemeDefinition): Theme;
+
 /**
  * Express middleware factory for error-to-md
  */
 export function expressErrorToMd(
   options?: ErrorToMdOptions
-): (error: Error, req: ExpressRequest, res: ExpressResponse, next: ExpressNextFunction) => void;
+): ((error: Error, req: ExpressRequest, res: ExpressResponse, next: ExpressNextFunction) => void) & {
+  /** Wait for pending transport sends, at most `timeoutMs` (default 5000) */
+  flush(timeoutMs?: number): Promise<void>;
+};
 
 /**
- * Async error handler wrapper
+ * Koa middleware; mount it first so it wraps downstream middleware
  */
-export function asyncErrorToMd<T extends any[], R>(
-  fn: (...args: T) => Promise<R>,
+export function koaErrorToMd(options?: ErrorToMdOptions): ((ctx: any, next: () => Promise<any>) => Promise<void>) & {
+  flush(timeoutMs?: number): Promise<void>;
+};
+
+/**
+ * Fastify plugin that sets an error handler; `errorHandler` works with `setErrorHandler`
+ */
+export function fastifyErrorToMd(options?: ErrorToMdOptions): ((fastify: any, options: any, done: () => void) => void) & {
+  errorHandler: (error: Error, request: any, reply: any) => void;
+  flush(timeoutMs?: number): Promise<void>;
+};
+
+/**
+ * Hapi plugin reporting 5xx responses from `onPreResponse`
+ */
+export function hapiErrorToMd(options?: ErrorToMdOptions): {
+  name: string;
+  register(server: any): void;
+  flush(timeoutMs?: number): Promise<void>;
+};
+
+/**
+ * Wrap a plain `http.createServer` handler
+ */
+export function httpErrorToMd(
+  handler: (req: import('http').IncomingMessage, res: import('http').ServerResponse) => any,
   options?: ErrorToMdOptions
-): (...args: T) => Promise<R>;
+): ((req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<void>) & {
+  flush(timeoutMs?: number): Promise<void>;
+};
 
 /**
- * Create Error object from JSON (for CLI usage)
+ * Transport writing one Markdown file per error ID, with rotation and retention
+ */
+export function fileTransport(options?: FileTransportOptions): Transport;
+
+/**
+ * Transport POSTing reports to a webhook with retries and timeouts
  */
-export function createErrorFromObject(errorObj: {
+export function webhookTransport(options: WebhookTransportOptions): Transport;
+
+/**
+ * Transport writing each report as one JSON line
+ */
+export function stdoutTransport(options?: StdoutTransportOptions): Transport;
+
+/**
+ * Transport creating or updating GitHub issues
+ */
+export function githubTransport(options: GitHubIssueOptions): Transport;
+
+/**
+ * Comment on the open issue carrying the report's error ID, or create a new one
+ */
+export function reportToGitHubIssue(report: ErrorReport, options: GitHubIssueOptions): Promise<GitHubIssueResult>;
+
+/**
+ * Prefilled `.../issues/new?title=&body=&labels=` link, shrunk to fit `maxUrlLength`
+ */
+export function reportToGitHubIssueUrl(report: ErrorReport, options: GitHubIssueUrlOptions): string;
+
+/**
+ * In-memory store used for middleware dedupe and rate limiting by default
+ */
+export function createMemoryStore(): ThrottleStore;
+
+/**
+ * An Express route handler, middleware or router
+ */
+export type ExpressHandler<Req = ExpressRequest, Res = ExpressResponse> = (
+  req: Req,
+  res: Res,
+  next: ExpressNextFunction
+) => unknown;
+
+/**
+ * Errors that passed through `asyncErrorToMd` or a framework adapter
+ */
+export interface AnnotatedError extends Error {
+  /** Non-enumerable */
+  errorReport?: ErrorReport;
+  /** Non-enumerable */
+  errorId?: string;
+}
+
+/**
+ * Wrap a route handler, middleware or router: sync throws, rejections and errors
+ * passed to `next` reach `next(err)` with the report attached as `err.errorReport`,
+ * and `expressErrorToMd` keeps its error ID instead of logging it again
+ */
+export function asyncErrorToMd<Req = ExpressRequest, Res = ExpressResponse>(
+  fn: ExpressHandler<Req, Res>,
+  options?: ErrorToMdOptions
+): (req: Req, res: Res, next: ExpressNextFunction) => Promise<void> | void;
+
+export interface GlobalHandlerOptions extends ErrorToMdOptions {
+  /** Where crash reports are written synchronously, `null` to skip; default `error-reports` */
+  crashDir?: string | null;
+  /** Default true */
+  exitOnUncaughtException?: boolean;
+  /** Default true: exit on every Node.js version, as Node 15+ does by default (Node 14 only warns) */
+  exitOnUnhandledRejection?: boolean;
+  /** Report `process.on('warning')` events to transports and the logger; default true */
+  includeWarnings?: boolean;
+  /** How long transports get before the process exits; default 3000 */
+  flushTimeoutMs?: number;
+  /** Default 1 */
+  exitCode?: number;
+}
+
+export interface GlobalHandlers {
+  /** Wait for pending transport sends */
+  flush(timeoutMs?: number): Promise<void>;
+  /** Remove the process listeners */
+  uninstall(): void;
+}
+
+/**
+ * Report uncaughtException, unhandledRejection and warning events
+ */
+export function installGlobalHandlers(options?: GlobalHandlerOptions): GlobalHandlers;
+
+export interface BreadcrumbOptions {
+  /** Record console.debug/log/info/warn/error; default true */
+  console?: boolean;
+  /** Record http/https requests and fetch calls; default true */
+  http?: boolean;
+  /** Size of the global ring buffer and of each scope's list; default 100 */
+  maxBreadcrumbs?: number;
+}
+
+/**
+ * Record console output and outgoing HTTP calls as breadcrumbs
+ */
+export function installBreadcrumbs(options?: BreadcrumbOptions): { uninstall(): void };
+
+/**
+ * Express middleware giving each request its own breadcrumbs and context; mount it first
+ */
+export function scopeMiddleware(): (req: ExpressRequest, res: ExpressResponse, next: ExpressNextFunction) => void;
+
+/**
+ * Run `fn` with its own breadcrumbs and context, e.g. per request or job
+ */
+export function runWithScope<T>(fn: () => T, request?: object | null): T;
+
+/**
+ * @deprecated Use `scopeMiddleware`
+ */
+export function breadcrumbMiddleware(): (req: ExpressRequest, res: ExpressResponse, next: ExpressNextFunction) => void;
+
+/**
+ * @deprecated Use `runWithScope`
+ */
+export function runWithBreadcrumbs<T>(fn: () => T, request?: object | null): T;
+
+/**
+ * Record a breadcrumb in the current scope and the global ring buffer
+ */
+export function addBreadcrumb(breadcrumb: BreadcrumbInput): Breadcrumb | null;
+
+/**
+ * Breadcrumbs of the request's scope, the current scope, or else the global ring buffer
+ */
+export function getBreadcrumbs(request?: object | null): Breadcrumb[];
+
+/**
+ * Empty the current scope's breadcrumbs, or the global ring buffer outside a scope
+ */
+export function clearBreadcrumbs(): void;
+
+/**
+ * Who was affected; a string is taken as the ID, `null` clears it.
+ * Outside a request scope this warns once and does nothing.
+ */
+export function setUser(user: Record<string, any> | string | number | null): void;
+
+/**
+ * Short searchable value such as tenant, feature or region; `null` removes it
+ */
+export function setTag(key: string, value: string | number | boolean | null): void;
+
+/**
+ * Additional data for reports; `null` removes it
+ */
+export function setExtra(key: string, value: any): void;
+
+/**
+ * A custom report section with its own heading; `null` removes it
+ */
+export function setSection(name: string, value: any): void;
+
+/**
+ * Context of the request's scope, or the current scope, on top of the process-wide context
+ */
+export function getContext(request?: object | null): ReportContext;
+
+/**
+ * Reset the current scope's context
+ */
+export function clearContext(): void;
+
+export interface GlobalContext {
+  user?: Record<string, any> | string | number | null;
+  tags?: Record<string, string | number | boolean | null>;
+  extra?: Record<string, any>;
+  sections?: Record<string, any>;
+}
+
+/**
+ * Process-wide context for every report, merged like the setters; `null` clears it
+ */
+export function setGlobalContext(context: GlobalContext | null): void;
+
+export interface ErrorObject {
   message?: string;
   name?: string;
   stack?: string;
   code?: string;
+  cause?: ErrorObject | string | number | boolean | null;
+  errors?: Array<ErrorObject | string | number | boolean | null>;
   [key: string]: any;
-}): Error;
+}
+
+/**
+ * Create Error object from JSON (for CLI usage)
+ * Nested `cause` and `errors` entries are rebuilt recursively.
+ */
+export function createErrorFromObject(errorObj: ErrorObject): Error;
+
+/**
+ * Fingerprint (hex hash) that groups occurrences of the same bug
+ */
+export function getFingerprint(error: Error & { fingerprint?: string | string[] }, request?: any, options?: ErrorToMdOptions): string;
+
+/**
+ * Parse a V8 stack trace (or an error's stack) into structured frames
+ */
+export function parseStackTrace(stack: string | { stack?: string } | null | undefined): StackFrame[];
+
+export interface SecretRule {
+  /** Shown in the replacement, e.g. `[REDACTED:jwt]` */
+  name: string;
+  pattern: RegExp;
+  /** Return false to keep a match, e.g. digit runs failing a checksum */
+  validate?: (match: string) => boolean;
+}
+
+/**
+ * Built-in value-based secret rules, in the order they run
+ */
+export const secretRules: SecretRule[];
+
+/**
+ * Replace secrets matched by `rules` with `[REDACTED:<rule name>]`
+ */
+export function redactSecrets(text: string, rules: SecretRule[]): string;
 
 /**
  * Default configuration options
@@ -138,7 +943,7 @@ export const defaultOptions: Required<ErrorToMdOptions>;
 /**
  * Available themes
  */
-export const themes: Record<'github' | 'slack' | 'discord', Theme>;
+export const themes: Record<'github' | 'slack' | 'discord', Theme> & Record<string, Theme>;
 
 /**
  * Default export (same as errorToMarkdown)